@@ -0,0 +1,418 @@
+import crypto from "crypto";
+import express from "express";
+import axios from "axios";
+import nodemailer from "nodemailer";
+import dotenv from "dotenv";
+import { ObjectId } from "mongodb";
+import { recordAudit, actorFromRequest } from "./audit.js";
+
+dotenv.config();
+
+// Alerts are stored in the `alerts` collection and de-duplicated by `key`
+// (e.g. "device_offline:<deviceId>"): raising an alert that is already open or
+// acknowledged only bumps its count and lastSeenAt, so channels are notified
+// once per incident. Lifecycle: open -> acknowledged -> resolved.
+//
+// Notifications go through sinks, objects with `name` and `send(event)` where
+// event is { event: "raised" | "resolved", alert }. The default sinks are built
+// from the environment; tests can replace them with setAlertSinks().
+
+const ALERT_STATUSES = ["open", "acknowledged", "resolved"];
+const ACTIVE_STATUSES = ["open", "acknowledged"];
+
+let alertsCollection = null;
+let sinks = [];
+// Keys of open/acknowledged alerts, so the per-poll resolve checks stay in memory
+const activeKeys = new Set();
+
+export function createWebhookSink({ url, secret }) {
+  return {
+    name: `webhook:${url}`,
+    async send(event) {
+      const body = JSON.stringify(event);
+      const timestamp = Date.now().toString();
+      const headers = { "Content-Type": "application/json", "X-Alert-Timestamp": timestamp };
+      if (secret) {
+        // Receivers verify HMAC-SHA256(secret, timestamp + "." + body)
+        const signature = crypto
+          .createHmac("sha256", secret)
+          .update(`${timestamp}.${body}`)
+          .digest("hex");
+        headers["X-Alert-Signature"] = `sha256=${signature}`;
+      }
+      await axios.post(url, body, { headers, timeout: 10000 });
+    },
+  };
+}
+
+export function createEmailSink({ transport, from, to }) {
+  return {
+    name: `email:${to}`,
+    async send({ event, alert }) {
+      const subject = `[${alert.severity.toUpperCase()}] ${event === "resolved" ? "Resolved: " : ""}${alert.message}`;
+      const lines = [
+        alert.message,
+        "",
+        `Type: ${alert.type}`,
+        `Device: ${alert.deviceId || "-"}`,
+        `Status: ${alert.status}`,
+        `First seen: ${new Date(alert.firstSeenAt).toISOString()}`,
+        `Last seen: ${new Date(alert.lastSeenAt).toISOString()}`,
+        `Occurrences: ${alert.count}`,
+      ];
+      if (alert.details) lines.push("", JSON.stringify(alert.details, null, 2));
+      await transport.sendMail({ from, to, subject, text: lines.join("\n") });
+    },
+  };
+}
+
+// Publishes to the "alerts" WebSocket channel (see realtime.js)
+export function createWebSocketSink(publish) {
+  return {
+    name: "websocket",
+    async send({ event, alert }) {
+      publish("alerts", { event, alert }, { deviceId: alert.deviceId || null });
+    },
+  };
+}
+
+function sinksFromEnv(publish) {
+  const {
+    ALERT_WEBHOOK_URLS,
+    ALERT_WEBHOOK_SECRET,
+    SMTP_HOST,
+    SMTP_PORT,
+    SMTP_SECURE,
+    SMTP_USER,
+    SMTP_PASS,
+    ALERT_EMAIL_FROM,
+    ALERT_EMAIL_TO,
+  } = process.env;
+  const list = [];
+
+  if (publish) list.push(createWebSocketSink(publish));
+
+  (ALERT_WEBHOOK_URLS || "")
+    .split(",")
+    .map((url) => url.trim())
+    .filter(Boolean)
+    .forEach((url) => list.push(createWebhookSink({ url, secret: ALERT_WEBHOOK_SECRET })));
+
+  if (SMTP_HOST && ALERT_EMAIL_TO) {
+    const transport = nodemailer.createTransport({
+      host: SMTP_HOST,
+      port: Number(SMTP_PORT) || 587,
+      secure: SMTP_SECURE === "true",
+      auth: SMTP_USER ? { user: SMTP_USER, pass: SMTP_PASS } : undefined,
+    });
+    list.push(
+      createEmailSink({
+        transport,
+        from: ALERT_EMAIL_FROM || SMTP_USER,
+        to: ALERT_EMAIL_TO,
+      }),
+    );
+  }
+
+  return list;
+}
+
+export async function initAlerts(db, { publish } = {}) {
+  alertsCollection = db.collection("alerts");
+  await alertsCollection.createIndex({ key: 1, status: 1 });
+  await alertsCollection.createIndex({ lastSeenAt: -1 });
+  await resolveDuplicateAlerts();
+  // At most one active alert per key (partial index with $in needs MongoDB 6)
+  await alertsCollection.createIndex(
+    { key: 1 },
+    {
+      name: "key_active_unique",
+      unique: true,
+      partialFilterExpression: { status: { $in: ACTIVE_STATUSES } },
+    },
+  );
+  const active = await alertsCollection
+    .find({ status: { $in: ACTIVE_STATUSES } }, { projection: { key: 1 } })
+    .toArray();
+  active.forEach((alert) => activeKeys.add(alert.key));
+  sinks = sinksFromEnv(publish);
+  console.log(`🔔 Alerts ready with sinks: ${sinks.map((s) => s.name).join(", ") || "none"}`);
+}
+
+// Concurrent raises could store the same active alert twice before the
+// unique index existed; the oldest of each key is kept
+async function resolveDuplicateAlerts() {
+  const duplicates = await alertsCollection
+    .aggregate([
+      { $match: { status: { $in: ACTIVE_STATUSES } } },
+      { $sort: { firstSeenAt: 1 } },
+      { $group: { _id: "$key", ids: { $push: "$_id" } } },
+      { $match: { "ids.1": { $exists: true } } },
+    ])
+    .toArray();
+  for (const { _id: key, ids } of duplicates) {
+    await alertsCollection.updateMany(
+      { _id: { $in: ids.slice(1) } },
+      { $set: { status: "resolved", resolvedAt: new Date(), resolvedBy: "duplicate" } },
+    );
+    console.warn(`🔔 Resolved ${ids.length - 1} duplicate alert(s) for ${key}`);
+  }
+}
+
+export function setAlertSinks(list) {
+  sinks = list;
+}
+
+async function notifySinks(event, alert) {
+  const results = await Promise.allSettled(sinks.map((sink) => sink.send({ event, alert })));
+  return results.map((result, index) => {
+    if (result.status === "rejected") {
+      console.error(`Alert sink ${sinks[index].name} failed:`, result.reason?.message);
+    }
+    return {
+      sink: sinks[index].name,
+      event,
+      success: result.status === "fulfilled",
+      error: result.status === "rejected" ? result.reason?.message : undefined,
+      at: new Date(),
+    };
+  });
+}
+
+// Raises (or re-raises) an alert. Returns the stored alert.
+export async function raiseAlert({
+  key,
+  type,
+  severity = "warning",
+  deviceId = null,
+  message,
+  details = null,
+}) {
+  const now = new Date();
+  const upsert = () =>
+    alertsCollection.findOneAndUpdate(
+      { key, status: { $in: ACTIVE_STATUSES } },
+      {
+        $inc: { count: 1 },
+        $set: { lastSeenAt: now, message, details },
+        $setOnInsert: { type, severity, deviceId, status: "open", firstSeenAt: now },
+      },
+      {
+        upsert: true,
+        returnDocument: "after",
+        projection: { notifications: 0 },
+        includeResultMetadata: true,
+      },
+    );
+
+  let result;
+  try {
+    result = await upsert();
+  } catch (error) {
+    // A concurrent raise inserted the alert first: this one joins it
+    if (error.code !== 11000) throw error;
+    result = await upsert();
+  }
+  const alert = result.value;
+  activeKeys.add(key);
+  if (result.lastErrorObject?.updatedExisting) return alert;
+
+  console.warn(`🚨 Alert raised [${severity}] ${message}`);
+  const notifications = await notifySinks("raised", alert);
+  await alertsCollection.updateOne(
+    { _id: alert._id },
+    { $push: { notifications: { $each: notifications } } },
+  );
+  return alert;
+}
+
+// Resolves the active alert with this key, if there is one
+export async function resolveAlert(key, { resolvedBy = "system" } = {}) {
+  if (!activeKeys.has(key)) return null;
+  // The key is only forgotten once the update went through, so a failed
+  // resolve is retried by the next call
+  const alert = await resolveMatching({ key }, resolvedBy);
+  if (!alert) activeKeys.delete(key);
+  return alert;
+}
+
+// Resolves the active alert matching `filter` and notifies the sinks. Returns
+// null when no active alert matched.
+async function resolveMatching(filter, resolvedBy) {
+  const alert = await alertsCollection.findOneAndUpdate(
+    { ...filter, status: { $in: ACTIVE_STATUSES } },
+    { $set: { status: "resolved", resolvedAt: new Date(), resolvedBy } },
+    { returnDocument: "after", projection: { notifications: 0 } },
+  );
+  if (!alert) return null;
+  activeKeys.delete(alert.key);
+
+  console.log(`✅ Alert resolved: ${alert.message}`);
+  const notifications = await notifySinks("resolved", alert);
+  await alertsCollection.updateOne(
+    { _id: alert._id },
+    { $push: { notifications: { $each: notifications } } },
+  );
+  return alert;
+}
+
+const VOLTAGE_MIN = Number(process.env.ALERT_VOLTAGE_MIN) || 180;
+const VOLTAGE_MAX = Number(process.env.ALERT_VOLTAGE_MAX) || 260;
+const POWER_MAX = Number(process.env.ALERT_POWER_MAX) || 3000;
+
+// Built-in threshold alerts on each reading: abnormal voltage and high power.
+// The alert resolves by itself once the reading is back in range.
+export async function checkReadingAlerts({ deviceId, voltage, power }) {
+  const voltageKey = `abnormal_voltage:${deviceId}`;
+  if (voltage > 0 && (voltage < VOLTAGE_MIN || voltage > VOLTAGE_MAX)) {
+    await raiseAlert({
+      key: voltageKey,
+      type: "abnormal_voltage",
+      severity: "critical",
+      deviceId,
+      message: `Abnormal voltage on ${deviceId}: ${voltage} V (allowed ${VOLTAGE_MIN}-${VOLTAGE_MAX} V)`,
+      details: { voltage, min: VOLTAGE_MIN, max: VOLTAGE_MAX },
+    });
+  } else if (voltage > 0) {
+    await resolveAlert(voltageKey);
+  }
+
+  const powerKey = `high_power:${deviceId}`;
+  if (power > POWER_MAX) {
+    await raiseAlert({
+      key: powerKey,
+      type: "high_power",
+      severity: "warning",
+      deviceId,
+      message: `High power on ${deviceId}: ${power} W (limit ${POWER_MAX} W)`,
+      details: { power, max: POWER_MAX },
+    });
+  } else {
+    await resolveAlert(powerKey);
+  }
+}
+
+function parseAlertId(req, res) {
+  if (!ObjectId.isValid(req.params.alertId)) {
+    res.status(400).json({ success: false, error: "Invalid alert id" });
+    return null;
+  }
+  return new ObjectId(req.params.alertId);
+}
+
+export const alertRouter = express.Router();
+
+alertRouter.get("/alerts", async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.status) {
+      const statuses = String(req.query.status).split(",");
+      if (!statuses.every((s) => ALERT_STATUSES.includes(s))) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid status parameter. Must be one of ${ALERT_STATUSES.join(", ")}`,
+        });
+      }
+      filter.status = { $in: statuses };
+    }
+    if (req.query.deviceId) filter.deviceId = req.query.deviceId;
+    if (req.query.type) filter.type = req.query.type;
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+    const alerts = await alertsCollection
+      .find(filter, { projection: { notifications: 0 } })
+      .sort({ lastSeenAt: -1 })
+      .limit(limit)
+      .toArray();
+    res.json({ success: true, data: alerts });
+  } catch (error) {
+    console.error("Error listing alerts:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to list alerts",
+      details: error.message,
+    });
+  }
+});
+
+alertRouter.get("/alerts/:alertId", async (req, res) => {
+  try {
+    const id = parseAlertId(req, res);
+    if (!id) return;
+
+    const alert = await alertsCollection.findOne({ _id: id });
+    if (!alert) {
+      return res.status(404).json({ success: false, error: "Alert not found" });
+    }
+    res.json({ success: true, data: alert });
+  } catch (error) {
+    console.error("Error fetching alert:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch alert",
+      details: error.message,
+    });
+  }
+});
+
+alertRouter.post("/alerts/:alertId/acknowledge", async (req, res) => {
+  try {
+    const id = parseAlertId(req, res);
+    if (!id) return;
+
+    const alert = await alertsCollection.findOneAndUpdate(
+      { _id: id, status: "open" },
+      {
+        $set: {
+          status: "acknowledged",
+          acknowledgedAt: new Date(),
+          acknowledgedBy: req.user.username,
+        },
+      },
+      { returnDocument: "after", projection: { notifications: 0 } },
+    );
+    if (!alert) {
+      return res.status(404).json({ success: false, error: "No open alert with this id" });
+    }
+    await recordAudit({
+      action: "alert.acknowledge",
+      actor: actorFromRequest(req),
+      deviceId: alert.deviceId,
+      request: { alertId: id.toString(), ...req.body },
+    });
+    res.json({ success: true, data: alert });
+  } catch (error) {
+    console.error("Error acknowledging alert:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to acknowledge alert",
+      details: error.message,
+    });
+  }
+});
+
+alertRouter.post("/alerts/:alertId/resolve", async (req, res) => {
+  try {
+    const id = parseAlertId(req, res);
+    if (!id) return;
+
+    const alert = await resolveMatching({ _id: id }, req.user.username);
+    if (!alert) {
+      return res.status(404).json({ success: false, error: "No active alert with this id" });
+    }
+    await recordAudit({
+      action: "alert.resolve",
+      actor: actorFromRequest(req),
+      deviceId: alert.deviceId,
+      request: { alertId: id.toString(), ...req.body },
+    });
+    res.json({ success: true, data: alert });
+  } catch (error) {
+    console.error("Error resolving alert:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to resolve alert",
+      details: error.message,
+    });
+  }
+});
@@ -0,0 +1,177 @@
+import express from "express";
+import { ObjectId } from "mongodb";
+
+// Append-only audit log of control actions and configuration changes, kept in
+// the `audit_log` collection:
+//   { at, action, actor, source, deviceId, request, response, latencyMs,
+//     outcome: "success" | "failed", error }
+// `action` is e.g. "switch", "device.commands", "tariff.update", "rule.delete".
+// `source` is "api", "schedule" or "rule"; `actor` is the signed-in user for
+// API calls and the schedule/rule for automated ones. Nothing here updates or
+// deletes entries. New entries are also published to the admin-only "audit"
+// WebSocket channel.
+
+const AUDIT_SOURCES = ["api", "schedule", "rule"];
+const AUDIT_OUTCOMES = ["success", "failed"];
+// Request fields that must never end up in the log
+const REDACTED_FIELDS = ["password", "refreshToken"];
+
+let auditCollection = null;
+let publish = () => {};
+
+export async function initAudit(db, { publish: publishEntry } = {}) {
+  auditCollection = db.collection("audit_log");
+  await auditCollection.createIndex({ at: -1 });
+  await auditCollection.createIndex({ deviceId: 1, at: -1 });
+  if (publishEntry) publish = publishEntry;
+}
+
+// Actor of an API request (see auth.js)
+export function actorFromRequest(req) {
+  return req.user
+    ? { type: "user", id: req.user.id, username: req.user.username, role: req.user.role }
+    : { type: "anonymous" };
+}
+
+function redact(value) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) return value;
+  return Object.fromEntries(
+    Object.entries(value).map(([key, field]) => [
+      key,
+      REDACTED_FIELDS.includes(key) ? "[redacted]" : field,
+    ]),
+  );
+}
+
+// Appends an entry. Failures are logged and swallowed: auditing must never
+// break the action being audited.
+export async function recordAudit({
+  action,
+  actor,
+  source = "api",
+  deviceId = null,
+  request = null,
+  response = null,
+  latencyMs = null,
+  outcome = "success",
+  error = null,
+}) {
+  const entry = {
+    at: new Date(),
+    action,
+    actor,
+    source,
+    deviceId,
+    request: redact(request),
+    response,
+    latencyMs,
+    outcome,
+    error,
+  };
+  try {
+    const { insertedId } = await auditCollection.insertOne(entry);
+    entry._id = insertedId;
+    publish(entry);
+  } catch (err) {
+    console.error(`Error writing audit entry for ${action}:`, err.message);
+  }
+  return entry;
+}
+
+// Runs a Tuya control call and audits it with its latency and outcome.
+// Returns the call's result or rethrows its error.
+export async function withAudit(entry, perform) {
+  const started = Date.now();
+  try {
+    const response = await perform();
+    await recordAudit({
+      ...entry,
+      response,
+      latencyMs: Date.now() - started,
+      outcome: response && response.success === false ? "failed" : "success",
+    });
+    return response;
+  } catch (error) {
+    await recordAudit({
+      ...entry,
+      response: error.response?.data || null,
+      latencyMs: Date.now() - started,
+      outcome: "failed",
+      error: error.message,
+    });
+    throw error;
+  }
+}
+
+export const auditRouter = express.Router();
+
+// GET /audit?from=&to=&action=&source=&actor=&deviceId=&outcome=&limit=&before=
+// Newest first; pass the last entry's _id as `before` for the next page.
+auditRouter.get("/audit", async (req, res) => {
+  try {
+    const errors = [];
+    const filter = {};
+    const { from, to, action, source, actor, deviceId, outcome, before } = req.query;
+
+    if (from || to) {
+      filter.at = {};
+      if (from) filter.at.$gte = new Date(from);
+      if (to) filter.at.$lt = new Date(to);
+      if (Object.values(filter.at).some((date) => Number.isNaN(date.getTime()))) {
+        errors.push("from/to must be ISO dates");
+      }
+    }
+    // Prefix match: "rule" matches rule.create, rule.update, ...
+    if (action) {
+      const escaped = String(action).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      filter.action = { $regex: `^${escaped}` };
+    }
+    if (source) {
+      if (!AUDIT_SOURCES.includes(source)) {
+        errors.push(`source must be one of ${AUDIT_SOURCES.join(", ")}`);
+      }
+      filter.source = source;
+    }
+    if (outcome) {
+      if (!AUDIT_OUTCOMES.includes(outcome)) {
+        errors.push(`outcome must be one of ${AUDIT_OUTCOMES.join(", ")}`);
+      }
+      filter.outcome = outcome;
+    }
+    if (actor) filter.$or = [{ "actor.username": actor }, { "actor.id": actor }];
+    if (deviceId) filter.deviceId = deviceId;
+    if (before) {
+      if (!ObjectId.isValid(before)) errors.push("before must be an audit entry id");
+      else filter._id = { $lt: new ObjectId(before) };
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid audit query",
+        details: errors,
+      });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+    const entries = await auditCollection
+      .find(filter)
+      .sort({ _id: -1 })
+      .limit(limit)
+      .toArray();
+    res.json({
+      success: true,
+      data: {
+        entries,
+        nextBefore: entries.length === limit ? entries[entries.length - 1]._id : null,
+      },
+    });
+  } catch (error) {
+    console.error("Error querying audit log:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to query audit log",
+      details: error.message,
+    });
+  }
+});
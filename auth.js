@@ -0,0 +1,461 @@
+import crypto from "crypto";
+import { promisify } from "util";
+import express from "express";
+import jwt from "jsonwebtoken";
+import dotenv from "dotenv";
+import { ObjectId } from "mongodb";
+import { recordAudit, actorFromRequest } from "./audit.js";
+
+dotenv.config();
+
+// Users, JWT authentication and role based access.
+//
+// Users live in the `users` collection with scrypt password hashes. Login
+// returns a short-lived access token (Authorization: Bearer ...) and a
+// refresh token. Refresh tokens are single use: each refresh revokes the old
+// one (`refresh_tokens` collection) and issues a new pair.
+//
+// Roles are ordered viewer < operator < admin:
+//   viewer   - read-only: charts, consumption, telemetry, exports, reports
+//   operator - also switching: /switch, device commands, schedules, alerts
+//   admin    - also settings: devices, tariff, rules, rollups, users, audit log
+// The required role of a request comes from routePolicy() below.
+
+export const ROLES = ["viewer", "operator", "admin"];
+
+const ACCESS_TOKEN_TTL = process.env.JWT_ACCESS_TTL || "15m";
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.JWT_REFRESH_TTL_DAYS) || 7;
+const JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(32).toString("hex");
+if (!process.env.JWT_SECRET) {
+  console.warn("⚠️ JWT_SECRET is not set, using a random secret: tokens will not survive a restart");
+}
+
+const scrypt = promisify(crypto.scrypt);
+
+let usersCollection = null;
+let refreshTokensCollection = null;
+
+// Stored as scrypt$<salt hex>$<hash hex>
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt.toString("hex")}$${hash.toString("hex")}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored).split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+  const expected = Buffer.from(hash, "hex");
+  const actual = await scrypt(password, Buffer.from(salt, "hex"), expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function publicUser(user) {
+  return {
+    _id: user._id,
+    username: user.username,
+    role: user.role,
+    disabled: Boolean(user.disabled),
+    createdAt: user.createdAt,
+  };
+}
+
+export async function initAuth(db) {
+  usersCollection = db.collection("users");
+  refreshTokensCollection = db.collection("refresh_tokens");
+  await usersCollection.createIndex({ username: 1 }, { unique: true });
+  await refreshTokensCollection.createIndex({ tokenHash: 1 }, { unique: true });
+  await refreshTokensCollection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+  // First start: create the admin account from the environment
+  const { ADMIN_USERNAME, ADMIN_PASSWORD } = process.env;
+  if ((await usersCollection.countDocuments({}, { limit: 1 })) === 0) {
+    if (ADMIN_USERNAME && ADMIN_PASSWORD) {
+      await usersCollection.insertOne({
+        username: ADMIN_USERNAME,
+        passwordHash: await hashPassword(ADMIN_PASSWORD),
+        role: "admin",
+        disabled: false,
+        createdAt: new Date(),
+      });
+      console.log(`👤 Created admin user ${ADMIN_USERNAME}`);
+    } else {
+      console.warn("⚠️ No users exist. Set ADMIN_USERNAME and ADMIN_PASSWORD to create the first admin");
+    }
+  }
+}
+
+export function hasRole(user, role) {
+  return Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+function signAccessToken(user) {
+  return jwt.sign({ role: user.role, username: user.username }, JWT_SECRET, {
+    subject: user._id.toString(),
+    expiresIn: ACCESS_TOKEN_TTL,
+  });
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+async function issueTokens(user) {
+  const refreshToken = crypto.randomBytes(32).toString("base64url");
+  await refreshTokensCollection.insertOne({
+    tokenHash: hashToken(refreshToken),
+    userId: user._id,
+    createdAt: new Date(),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+  });
+  const accessToken = signAccessToken(user);
+  return {
+    accessToken,
+    refreshToken,
+    expiresAt: new Date(jwt.decode(accessToken).exp * 1000),
+    user: publicUser(user),
+  };
+}
+
+// Verifies an access token. Returns { id, username, role, expiresAt } or null.
+export function verifyAccessToken(token) {
+  if (!token) return null;
+  try {
+    const payload = jwt.verify(token, JWT_SECRET, { algorithms: ["HS256"] });
+    return {
+      id: payload.sub,
+      username: payload.username,
+      role: payload.role,
+      expiresAt: payload.exp * 1000,
+    };
+  } catch {
+    return null;
+  }
+}
+
+function bearerToken(req) {
+  const header = req.headers.authorization || "";
+  return header.startsWith("Bearer ") ? header.slice(7) : null;
+}
+
+// [method, path pattern, role]; the first match wins. Anything else needs
+// viewer for reads and admin for writes.
+const ROUTE_POLICY = [
+  ["*", /^\/auth\//, "viewer"],
+  ["GET", /^\/(users|audit)(\/|$)/, "admin"],
+  ["POST", /^\/tariff\/calculate$/, "viewer"],
+  ["POST", /^\/(devices\/[^/]+\/)?switch$/, "operator"],
+  ["POST", /^\/devices\/[^/]+\/commands$/, "operator"],
+  ["*", /^\/schedules(\/|$)/, "operator"],
+  ["POST", /^\/alerts\/[^/]+\/(acknowledge|resolve)$/, "operator"],
+];
+
+// Express matches routes case-insensitively, so the path is lowercased: /USERS
+// must need the same role as /users
+export function routePolicy(method, path) {
+  const normalized = path.toLowerCase();
+  const rule = ROUTE_POLICY.find(
+    ([ruleMethod, pattern]) =>
+      (ruleMethod === "*" || ruleMethod === method) && pattern.test(normalized),
+  );
+  if (rule) return rule[2];
+  return method === "GET" || method === "HEAD" ? "viewer" : "admin";
+}
+
+// Probes and the Prometheus scraper have no user account (see health.js)
+const PUBLIC_PATHS = ["/auth/login", "/auth/refresh", "/healthz", "/readyz", "/metrics"];
+
+// Express middleware: requires a valid access token with the role the route
+// needs. Login, refresh and the health endpoints stay public.
+export function authenticate(req, res, next) {
+  if (req.method === "OPTIONS" || PUBLIC_PATHS.includes(req.path)) return next();
+
+  const user = verifyAccessToken(bearerToken(req));
+  if (!user) {
+    return res.status(401).json({
+      success: false,
+      error: "Authentication required",
+    });
+  }
+
+  const role = routePolicy(req.method, req.path);
+  if (!hasRole(user, role)) {
+    return res.status(403).json({
+      success: false,
+      error: `This action requires the ${role} role`,
+    });
+  }
+
+  req.user = user;
+  next();
+}
+
+function validateUserInput(input, { partial = false } = {}) {
+  const errors = [];
+  if (!partial || input.username !== undefined) {
+    if (typeof input.username !== "string" || !/^[\w.@-]{3,64}$/.test(input.username)) {
+      errors.push("username must be 3-64 letters, digits or . _ @ -");
+    }
+  }
+  if (!partial || input.password !== undefined) {
+    if (typeof input.password !== "string" || input.password.length < 8) {
+      errors.push("password must be at least 8 characters");
+    }
+  }
+  if (!partial || input.role !== undefined) {
+    if (!ROLES.includes(input.role)) errors.push(`role must be one of ${ROLES.join(", ")}`);
+  }
+  if (input.disabled !== undefined && typeof input.disabled !== "boolean") {
+    errors.push("disabled must be a boolean");
+  }
+  return errors;
+}
+
+function parseUserId(req, res) {
+  if (!ObjectId.isValid(req.params.userId)) {
+    res.status(400).json({ success: false, error: "Invalid user id" });
+    return null;
+  }
+  return new ObjectId(req.params.userId);
+}
+
+export const authRouter = express.Router();
+
+authRouter.post("/auth/login", async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    if (typeof username !== "string" || typeof password !== "string") {
+      return res.status(400).json({
+        success: false,
+        error: "username and password are required",
+      });
+    }
+
+    const user = await usersCollection.findOne({ username });
+    if (!user || user.disabled || !(await verifyPassword(password, user.passwordHash))) {
+      return res.status(401).json({ success: false, error: "Invalid username or password" });
+    }
+
+    await usersCollection.updateOne({ _id: user._id }, { $set: { lastLoginAt: new Date() } });
+    console.log(`🔑 ${username} logged in`);
+    res.json({ success: true, data: await issueTokens(user) });
+  } catch (error) {
+    console.error("Error logging in:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to log in",
+      details: error.message,
+    });
+  }
+});
+
+authRouter.post("/auth/refresh", async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+    if (typeof refreshToken !== "string") {
+      return res.status(400).json({ success: false, error: "refreshToken is required" });
+    }
+
+    // Single use: the token is consumed whether or not the user is still valid
+    const stored = await refreshTokensCollection.findOneAndDelete({
+      tokenHash: hashToken(refreshToken),
+      expiresAt: { $gt: new Date() },
+    });
+    const user = stored && (await usersCollection.findOne({ _id: stored.userId }));
+    if (!user || user.disabled) {
+      return res.status(401).json({ success: false, error: "Invalid or expired refresh token" });
+    }
+
+    res.json({ success: true, data: await issueTokens(user) });
+  } catch (error) {
+    console.error("Error refreshing token:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to refresh token",
+      details: error.message,
+    });
+  }
+});
+
+// Any signed-in user may log out and read their own account
+authRouter.post("/auth/logout", async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+    if (typeof refreshToken === "string") {
+      await refreshTokensCollection.deleteOne({ tokenHash: hashToken(refreshToken) });
+    }
+    res.json({ success: true, message: "Logged out" });
+  } catch (error) {
+    console.error("Error logging out:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to log out",
+      details: error.message,
+    });
+  }
+});
+
+authRouter.get("/auth/me", (req, res) => {
+  res.json({ success: true, data: req.user });
+});
+
+authRouter.get("/users", async (req, res) => {
+  try {
+    const users = await usersCollection.find().sort({ username: 1 }).toArray();
+    res.json({ success: true, data: users.map(publicUser) });
+  } catch (error) {
+    console.error("Error listing users:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to list users",
+      details: error.message,
+    });
+  }
+});
+
+authRouter.post("/users", async (req, res) => {
+  try {
+    const input = req.body || {};
+    const errors = validateUserInput(input);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: "Invalid user", details: errors });
+    }
+
+    const user = {
+      username: input.username,
+      passwordHash: await hashPassword(input.password),
+      role: input.role,
+      disabled: input.disabled ?? false,
+      createdAt: new Date(),
+    };
+    try {
+      const { insertedId } = await usersCollection.insertOne(user);
+      user._id = insertedId;
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(409).json({ success: false, error: "Username already exists" });
+      }
+      throw error;
+    }
+
+    console.log(`👤 User ${user.username} (${user.role}) created by ${req.user.username}`);
+    await recordAudit({
+      action: "user.create",
+      actor: actorFromRequest(req),
+      request: input,
+      response: { _id: user._id },
+    });
+    res.status(201).json({ success: true, data: publicUser(user) });
+  } catch (error) {
+    console.error("Error creating user:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to create user",
+      details: error.message,
+    });
+  }
+});
+
+authRouter.patch("/users/:userId", async (req, res) => {
+  try {
+    const id = parseUserId(req, res);
+    if (!id) return;
+
+    const input = req.body || {};
+    const errors = validateUserInput(input, { partial: true });
+    if (input.username !== undefined) errors.push("username cannot be changed");
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: "Invalid user", details: errors });
+    }
+
+    const update = {};
+    if (input.role !== undefined) update.role = input.role;
+    if (input.disabled !== undefined) update.disabled = input.disabled;
+    if (input.password !== undefined) update.passwordHash = await hashPassword(input.password);
+
+    const user = await usersCollection.findOneAndUpdate(
+      { _id: id },
+      { $set: { ...update, updatedAt: new Date() } },
+      { returnDocument: "after" },
+    );
+    if (!user) {
+      return res.status(404).json({ success: false, error: "User not found" });
+    }
+    // Role changes, password resets and disabling end existing sessions
+    await refreshTokensCollection.deleteMany({ userId: id });
+    await recordAudit({
+      action: "user.update",
+      actor: actorFromRequest(req),
+      request: { userId: id.toString(), ...input },
+    });
+
+    res.json({ success: true, data: publicUser(user) });
+  } catch (error) {
+    console.error("Error updating user:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to update user",
+      details: error.message,
+    });
+  }
+});
+
+authRouter.delete("/users/:userId", async (req, res) => {
+  try {
+    const id = parseUserId(req, res);
+    if (!id) return;
+    if (id.toString() === req.user.id) {
+      return res.status(400).json({ success: false, error: "You cannot delete your own account" });
+    }
+
+    const result = await usersCollection.deleteOne({ _id: id });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ success: false, error: "User not found" });
+    }
+    await refreshTokensCollection.deleteMany({ userId: id });
+    await recordAudit({
+      action: "user.delete",
+      actor: actorFromRequest(req),
+      request: { userId: id.toString() },
+    });
+    res.json({ success: true, message: "User deleted" });
+  } catch (error) {
+    console.error("Error deleting user:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to delete user",
+      details: error.message,
+    });
+  }
+});
+
+// Dashboard origins allowed by CORS and the WebSocket handshake
+// (CORS_ORIGINS="https://dash.example.com,http://localhost:3000")
+export const ALLOWED_ORIGINS = (process.env.CORS_ORIGINS || "")
+  .split(",")
+  .map((origin) => origin.trim())
+  .filter(Boolean);
+if (ALLOWED_ORIGINS.length === 0) {
+  console.warn("⚠️ CORS_ORIGINS is not set: browser requests from other origins are refused");
+}
+
+export function isAllowedOrigin(origin) {
+  // Requests without Origin come from non-browser clients
+  return !origin || ALLOWED_ORIGINS.includes(origin);
+}
+
+// ws verifyClient hook: the token comes from ?token= (browsers cannot set
+// headers on WebSocket requests) or the Authorization header. The user is
+// attached to the request for the connection handler.
+export function verifyWebSocketClient({ origin, req }, done) {
+  if (!isAllowedOrigin(origin)) {
+    return done(false, 403, "Origin not allowed");
+  }
+  const url = new URL(req.url, "http://localhost");
+  const user = verifyAccessToken(url.searchParams.get("token") || bearerToken(req));
+  if (!user) {
+    return done(false, 401, "Authentication required");
+  }
+  req.user = user;
+  done(true);
+}
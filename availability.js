@@ -0,0 +1,221 @@
+import express from "express";
+import dotenv from "dotenv";
+import { listDevices, getDevice, getDefaultDeviceId } from "./devices.js";
+import { fetchDeviceInfo } from "./tuya.js";
+
+dotenv.config();
+
+// Device connectivity, i.e. whether the plug itself is reachable (a switched
+// off AC still reports). Transitions are stored in `device_events`:
+//   { deviceId, type: "online" | "offline", at, source: "info" | "push", details }
+// Sources are Tuya's `online` flag from the device details, checked every
+// AVAILABILITY_CHECK_SECONDS, and online/offline events from push ingestion
+// (pulsar.js) as they happen. Only changes are stored. A failed details
+// request records nothing: it says more about the Tuya API than the device.
+
+const CHECK_INTERVAL = (Number(process.env.AVAILABILITY_CHECK_SECONDS) || 60) * 1000;
+const MAX_RANGE_MS = 366 * 24 * 60 * 60 * 1000;
+
+let eventsCollection = null;
+// deviceId -> { online, since, updateTime, checkedAt }
+const connectivity = new Map();
+let notifyChange = () => {};
+let monitorTimer = null;
+// deviceId -> tail of its queue of connectivity updates
+const updateQueues = new Map();
+
+export async function initAvailability(db, { onChange } = {}) {
+  eventsCollection = db.collection("device_events");
+  await eventsCollection.createIndex({ deviceId: 1, at: -1 });
+  if (onChange) notifyChange = onChange;
+
+  // Resume from the last stored transition of every device
+  const latest = await eventsCollection
+    .aggregate([
+      { $sort: { deviceId: 1, at: -1 } },
+      { $group: { _id: "$deviceId", type: { $first: "$type" }, at: { $first: "$at" } } },
+    ])
+    .toArray();
+  latest.forEach((event) => {
+    connectivity.set(event._id, {
+      ...connectivity.get(event._id),
+      online: event.type === "online",
+      since: event.at,
+    });
+  });
+}
+
+export function getConnectivity(deviceId) {
+  return connectivity.get(deviceId) || null;
+}
+
+// Stores a transition when `online` differs from the known state. Resolves
+// with the event, or null when nothing changed. Updates of one device run one
+// at a time (push events and the periodic check can coincide), so the same
+// transition is never stored twice.
+export function recordConnectivity(deviceId, online, options) {
+  const run = (updateQueues.get(deviceId) || Promise.resolve()).then(() =>
+    storeTransition(deviceId, online, options),
+  );
+  updateQueues.set(deviceId, run.catch(() => {}));
+  return run;
+}
+
+async function storeTransition(deviceId, online, { at = new Date(), source, details = null }) {
+  const previous = connectivity.get(deviceId);
+  if (previous && previous.online === online) return null;
+
+  const event = { deviceId, type: online ? "online" : "offline", at, source, details };
+  connectivity.set(deviceId, { ...previous, online, since: at });
+  try {
+    await eventsCollection.insertOne(event);
+  } catch (error) {
+    connectivity.set(deviceId, previous);
+    throw error;
+  }
+
+  console.log(`${online ? "🟢" : "🔴"} Device ${deviceId} is ${event.type} (${source})`);
+  notifyChange(event);
+  return event;
+}
+
+// Fetches the device details and records the online flag. Resolves with the
+// details.
+export async function checkAvailability(deviceId) {
+  const info = await fetchDeviceInfo(deviceId);
+  await recordConnectivity(deviceId, info.online, {
+    source: "info",
+    details: { updateTime: info.updateTime },
+  });
+  connectivity.set(deviceId, {
+    ...connectivity.get(deviceId),
+    updateTime: info.updateTime,
+    checkedAt: new Date(),
+  });
+  return info;
+}
+
+async function checkAllDevices() {
+  for (const { deviceId } of listDevices()) {
+    try {
+      await checkAvailability(deviceId);
+    } catch (error) {
+      console.error(`Error checking availability of ${deviceId}:`, error.message);
+    }
+  }
+}
+
+export function startAvailabilityMonitor() {
+  if (monitorTimer) return;
+  checkAllDevices();
+  monitorTimer = setInterval(checkAllDevices, CHECK_INTERVAL);
+  console.log("📶 Availability monitor started");
+}
+
+// Time online/offline between `from` and `to` (capped at now) with the outage
+// intervals; `ongoing` marks an outage still open at the end of the range.
+// Time before the first known state counts as unknown and is left out of the
+// uptime percentage.
+export async function getAvailability(deviceId, from, to) {
+  const end = new Date(Math.min(to.getTime(), Date.now()));
+  const [before] = await eventsCollection
+    .find({ deviceId, at: { $lt: from } })
+    .sort({ at: -1 })
+    .limit(1)
+    .toArray();
+  const events = await eventsCollection
+    .find({ deviceId, at: { $gte: from, $lt: end } })
+    .sort({ at: 1 })
+    .toArray();
+
+  const totals = { online: 0, offline: 0, unknown: 0 };
+  const outages = [];
+  let state = before ? before.type : "unknown";
+  let cursor = from;
+  let outageStart = state === "offline" ? from : null;
+
+  const advance = (until) => {
+    totals[state] += Math.max(until - cursor, 0);
+    cursor = until;
+  };
+  const closeOutage = (until, ongoing) => {
+    outages.push({
+      start: outageStart,
+      end: until,
+      durationSeconds: Math.round((until - outageStart) / 1000),
+      ongoing,
+    });
+    outageStart = null;
+  };
+
+  for (const event of events) {
+    advance(event.at);
+    if (event.type === "offline" && state !== "offline") outageStart = event.at;
+    if (event.type === "online" && state === "offline") closeOutage(event.at, false);
+    state = event.type;
+  }
+  advance(end);
+  if (state === "offline") closeOutage(end, true);
+
+  const known = totals.online + totals.offline;
+  return {
+    deviceId,
+    from,
+    to: end,
+    uptimePercent: known > 0 ? parseFloat(((totals.online / known) * 100).toFixed(3)) : null,
+    onlineSeconds: Math.round(totals.online / 1000),
+    offlineSeconds: Math.round(totals.offline / 1000),
+    unknownSeconds: Math.round(totals.unknown / 1000),
+    outages,
+    transitions: events.length,
+    current: getConnectivity(deviceId),
+  };
+}
+
+export const availabilityRouter = express.Router();
+
+// GET /devices/:id/availability?from=&to=  (default: the last 7 days)
+availabilityRouter.get(["/availability", "/devices/:id/availability"], async (req, res) => {
+  try {
+    const deviceId = req.params.id || getDefaultDeviceId();
+    if (!deviceId || !getDevice(deviceId)) {
+      return res.status(404).json({
+        success: false,
+        error: `Device ${deviceId || "(none)"} is not registered`,
+      });
+    }
+
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from
+      ? new Date(req.query.from)
+      : new Date(to.getTime() - 7 * 24 * 60 * 60 * 1000);
+
+    const errors = [];
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+      errors.push("from/to must be ISO dates");
+    } else if (from >= to) {
+      errors.push("from must be before to");
+    } else if (to - from > MAX_RANGE_MS) {
+      errors.push("range must not exceed 366 days");
+    } else if (from > new Date()) {
+      errors.push("from must not be in the future");
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid availability query",
+        details: errors,
+      });
+    }
+
+    res.json({ success: true, data: await getAvailability(deviceId, from, to) });
+  } catch (error) {
+    console.error("Error fetching availability:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch availability",
+      details: error.message,
+    });
+  }
+});
@@ -0,0 +1,188 @@
+import { getTelemetryCollection } from "./telemetry.js";
+import { DEFAULT_TIMEZONE, getZonedParts } from "./timezone.js";
+
+// Energy consumption computed from stored telemetry. Shared by
+// /today-consumption, /energy, the tariff engine and the automation rules.
+
+// Poll gaps longer than this (missed polls, restarts) are not integrated.
+// Energy counter deltas are not affected.
+export const MAX_GAP_MS = (Number(process.env.ENERGY_MAX_GAP_SECONDS) || 60) * 1000;
+
+// Interval method: the device's cumulative energy counter (add_ele) when both
+// ends of the interval report it, otherwise integration of cur_power.
+export const METHOD_COUNTER = "counter";
+export const METHOD_INTEGRATION = "integration";
+
+// Summarises the methods used for a period: "counter", "integration",
+// "mixed", or null when nothing was counted
+export function describeMethods(methods) {
+  if (methods.size === 0) return null;
+  if (methods.size > 1) return "mixed";
+  return [...methods][0];
+}
+
+// kWh used by a device between `start` and `end`. `byHour` splits the total
+// by local hour of day (0-23) in `timezone`, which the tariff engine needs for
+// time-of-use pricing. `method` tells whether the energy counter or power
+// integration was used (see integrateEnergy).
+export async function getConsumption(
+  deviceId,
+  start,
+  end,
+  timezone = DEFAULT_TIMEZONE,
+  maxGapMs = MAX_GAP_MS,
+) {
+  const byHour = new Array(24).fill(0);
+  const methods = new Set();
+  const hourCache = new Map();
+  let totalKwh = 0;
+  let dataPoints = 0;
+
+  await integrateEnergy(
+    deviceId,
+    start,
+    end,
+    (from, to, kwh, method) => {
+      const key = Math.floor((from + to) / 2 / 900000); // offsets are multiples of 15 minutes
+      if (!hourCache.has(key)) {
+        hourCache.set(key, getZonedParts(new Date(key * 900000), timezone).hour);
+      }
+      byHour[hourCache.get(key)] += kwh;
+      totalKwh += kwh;
+      dataPoints++;
+      methods.add(method);
+    },
+    maxGapMs,
+  );
+
+  return { totalKwh, dataPoints, byHour, timezone, method: describeMethods(methods) };
+}
+
+// Reading from a telemetry document (see telemetry.js):
+// { timestamp, power (W), voltage (V), current (mA), switchOn, energyKwh }
+export function toReading(doc) {
+  return {
+    timestamp: doc.timestamp,
+    power: doc.powerW ?? null,
+    voltage: doc.voltageV ?? null,
+    current: doc.currentMa ?? null,
+    switchOn: doc.switchOn === true,
+    energyKwh: doc.energyKwh ?? null,
+  };
+}
+
+const readingProjection = {
+  _id: 0,
+  timestamp: 1,
+  powerW: 1,
+  voltageV: 1,
+  currentMa: 1,
+  switchOn: 1,
+  energyKwh: 1,
+};
+
+// Last stored reading of a device before `before`, or null
+export async function getLastReadingBefore(deviceId, before) {
+  const previous = await getTelemetryCollection().findOne(
+    { deviceId, timestamp: { $lt: before } },
+    { sort: { timestamp: -1 }, projection: readingProjection },
+  );
+  return previous ? toReading(previous) : null;
+}
+
+// Streams a device's readings between start and end in timestamp order,
+// including the last reading before `start` so the interval straddling
+// `start` can be counted.
+export async function* readReadings(deviceId, start, end) {
+  const previous = await getLastReadingBefore(deviceId, start);
+  if (previous) yield previous;
+
+  const cursor = getTelemetryCollection()
+    .find(
+      { deviceId, timestamp: { $gte: start, $lte: end } },
+      { projection: readingProjection },
+    )
+    .sort({ timestamp: 1 });
+  for await (const doc of cursor) yield toReading(doc);
+}
+
+// Returns a function that takes a device's readings in timestamp order and
+// returns the energy interval { from, to, kwh, method } each one closes, or
+// null:
+// - counter: both readings carry add_ele. The delta is used whatever the
+//   switch state or gap length, since the device keeps counting between polls.
+//   A decreasing counter means it was reset, and the new value is the energy
+//   used since the reset.
+// - integration (fallback): Riemann sum over readings with the switch on; the
+//   interval from the previous ON reading uses the later reading's power and
+//   gaps longer than maxGapMs are skipped.
+export function createEnergyTracker(deviceId, maxGapMs = MAX_GAP_MS) {
+  let previous = null;
+  let previousOn = null;
+
+  return (reading) => {
+    const isOn = reading.switchOn && reading.power !== null;
+    let interval = null;
+
+    if (previous && previous.energyKwh !== null && reading.energyKwh !== null) {
+      const delta = reading.energyKwh - previous.energyKwh;
+      if (delta < 0) {
+        console.warn(
+          `🔁 Energy counter reset detected for ${deviceId} at ${reading.timestamp.toISOString()}`,
+        );
+      }
+      interval = {
+        from: previous.timestamp.getTime(),
+        to: reading.timestamp.getTime(),
+        kwh: delta >= 0 ? delta : reading.energyKwh,
+        method: METHOD_COUNTER,
+      };
+    } else if (isOn && previousOn && reading.timestamp - previousOn.timestamp <= maxGapMs) {
+      const durationMs = reading.timestamp - previousOn.timestamp;
+      interval = {
+        from: previousOn.timestamp.getTime(),
+        to: reading.timestamp.getTime(),
+        kwh: (reading.power / 1000) * (durationMs / 3600000),
+        method: METHOD_INTEGRATION,
+      };
+    }
+
+    previous = reading;
+    if (isOn) previousOn = reading;
+    return interval && interval.to > interval.from ? interval : null;
+  };
+}
+
+// Calls onInterval(from, to, kwh, method) for each energy interval of a
+// device (see createEnergyTracker), clipped to [start, end].
+export async function integrateEnergy(
+  deviceId,
+  start,
+  end,
+  onInterval,
+  maxGapMs = MAX_GAP_MS,
+) {
+  const track = createEnergyTracker(deviceId, maxGapMs);
+
+  for await (const reading of readReadings(deviceId, start, end)) {
+    const interval = track(reading);
+    if (!interval) continue;
+
+    const from = Math.max(interval.from, start.getTime());
+    const to = Math.min(interval.to, end.getTime());
+    if (to > from) {
+      const share = (to - from) / (interval.to - interval.from);
+      onInterval(from, to, interval.kwh * share, interval.method);
+    }
+  }
+}
+
+const METHOD_LABELS = {
+  [METHOD_COUNTER]: "Energy Counter (add_ele deltas)",
+  [METHOD_INTEGRATION]: "Only AC ON Intervals (Riemann Sum)",
+  mixed: "Energy Counter with Riemann Sum fallback",
+};
+
+export function describeCalculationMethod(method) {
+  return METHOD_LABELS[method] || METHOD_LABELS[METHOD_INTEGRATION];
+}
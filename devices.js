@@ -0,0 +1,121 @@
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// Device registry. Devices are stored in the `devices` collection and seeded
+// from the environment on startup:
+//   TUYA_DEVICE_IDS="id1:AC,id2:Fridge,id3:Water Pump"
+//   TUYA_DEVICE_ID="id1"   (legacy single-device setup, still honoured)
+// The first configured device is the default one used by the legacy
+// single-device routes (/switch, /switch-status, /main-chart/data, ...).
+
+let devicesCollection = null;
+let devices = []; // in-memory copy, reloaded on startup and whenever a device is added or removed
+let defaultDeviceId = null;
+
+function parseDeviceEnv() {
+  const { TUYA_DEVICE_IDS, TUYA_DEVICE_ID } = process.env;
+  const parsed = [];
+
+  if (TUYA_DEVICE_ID) {
+    parsed.push({ deviceId: TUYA_DEVICE_ID.trim(), name: null });
+  }
+
+  if (TUYA_DEVICE_IDS) {
+    TUYA_DEVICE_IDS.split(",")
+      .map((entry) => entry.trim())
+      .filter(Boolean)
+      .forEach((entry) => {
+        const [id, ...nameParts] = entry.split(":");
+        const name = nameParts.join(":").trim() || null;
+        const existing = parsed.find((d) => d.deviceId === id.trim());
+        if (existing) {
+          existing.name = existing.name || name;
+        } else {
+          parsed.push({ deviceId: id.trim(), name });
+        }
+      });
+  }
+
+  return parsed;
+}
+
+// Registry from the environment alone, so configured devices can be polled
+// (and their readings buffered) before MongoDB is reachable
+export function loadConfiguredDevices() {
+  devices = parseDeviceEnv();
+  defaultDeviceId = devices.length > 0 ? devices[0].deviceId : null;
+  return devices;
+}
+
+export async function initDeviceRegistry(db) {
+  devicesCollection = db.collection("devices");
+  await devicesCollection.createIndex({ deviceId: 1 }, { unique: true });
+
+  const configured = parseDeviceEnv();
+  for (const device of configured) {
+    await devicesCollection.updateOne(
+      { deviceId: device.deviceId },
+      {
+        $setOnInsert: { deviceId: device.deviceId, createdAt: new Date() },
+        ...(device.name ? { $set: { name: device.name } } : {}),
+      },
+      { upsert: true },
+    );
+  }
+
+  defaultDeviceId = configured.length > 0 ? configured[0].deviceId : null;
+  await reloadDevices();
+
+  if (!defaultDeviceId && devices.length > 0) {
+    defaultDeviceId = devices[0].deviceId;
+  }
+
+  console.log(
+    `📋 Device registry loaded: ${devices.length} device(s), default ${defaultDeviceId || "none"}`,
+  );
+  return devices;
+}
+
+async function reloadDevices() {
+  devices = await devicesCollection
+    .find({}, { projection: { _id: 0 } })
+    .sort({ createdAt: 1 })
+    .toArray();
+}
+
+export function listDevices() {
+  return devices;
+}
+
+export function getDevice(deviceId) {
+  return devices.find((d) => d.deviceId === deviceId) || null;
+}
+
+export function getDefaultDeviceId() {
+  return defaultDeviceId;
+}
+
+export async function addDevice({ deviceId, name = null }) {
+  const now = new Date();
+  await devicesCollection.updateOne(
+    { deviceId },
+    {
+      $setOnInsert: { deviceId, createdAt: now },
+      $set: { name, updatedAt: now },
+    },
+    { upsert: true },
+  );
+  await reloadDevices();
+  if (!defaultDeviceId) defaultDeviceId = deviceId;
+  return getDevice(deviceId);
+}
+
+export async function removeDevice(deviceId) {
+  const result = await devicesCollection.deleteOne({ deviceId });
+  await reloadDevices();
+  if (defaultDeviceId === deviceId) {
+    defaultDeviceId = devices.length > 0 ? devices[0].deviceId : null;
+  }
+  return result.deletedCount > 0;
+}
@@ -0,0 +1,353 @@
+import express from "express";
+import { getDevice, getDefaultDeviceId } from "./devices.js";
+import {
+  integrateEnergy,
+  describeMethods,
+  describeCalculationMethod,
+  MAX_GAP_MS,
+} from "./consumption.js";
+import { getTariff, calculateCost, billingMonthStart } from "./tariff.js";
+import { TELEMETRY_UNITS } from "./telemetry.js";
+import {
+  getUserTimezone,
+  isValidTimezone,
+  getZonedParts,
+  zonedTimeToUtc,
+} from "./timezone.js";
+
+// kWh and cost per hour/day/week/month bucket for an arbitrary range.
+// Intervals are split at bucket boundaries (and at billing month boundaries,
+// since tariff slabs reset every month) so each piece is counted where it
+// belongs.
+
+export const GRANULARITIES = ["hour", "day", "week", "month"];
+const MAX_BUCKETS = 1000;
+const MAX_RANGE_MS = 366 * 24 * 60 * 60 * 1000;
+
+export function bucketStart(date, granularity, timezone) {
+  const p = getZonedParts(date, timezone);
+  switch (granularity) {
+    case "hour":
+      return zonedTimeToUtc({ year: p.year, month: p.month, day: p.day, hour: p.hour }, timezone);
+    case "day":
+      return zonedTimeToUtc({ year: p.year, month: p.month, day: p.day }, timezone);
+    case "week": // ISO weeks start on Monday
+      return zonedTimeToUtc(
+        { year: p.year, month: p.month, day: p.day - ((p.weekday + 6) % 7) },
+        timezone,
+      );
+    case "month":
+      return zonedTimeToUtc({ year: p.year, month: p.month, day: 1 }, timezone);
+    default:
+      throw new Error(`Unknown granularity: ${granularity}`);
+  }
+}
+
+export function nextBucketStart(start, granularity, timezone) {
+  if (granularity === "hour") return new Date(start.getTime() + 3600000);
+  const p = getZonedParts(start, timezone);
+  const day = granularity === "day" ? p.day + 1 : granularity === "week" ? p.day + 7 : 1;
+  const month = granularity === "month" ? p.month + 1 : p.month;
+  return zonedTimeToUtc({ year: p.year, month, day }, timezone);
+}
+
+function bucketLabel(start, granularity, timezone) {
+  const p = getZonedParts(start, timezone);
+  const pad = (n) => String(n).padStart(2, "0");
+  const date = `${p.year}-${pad(p.month)}-${pad(p.day)}`;
+  if (granularity === "hour") return `${date} ${pad(p.hour)}:00`;
+  if (granularity === "month") return `${p.year}-${pad(p.month)}`;
+  return date;
+}
+
+// Bucket list [{ start, end, label }] covering [from, to)
+export function buildBuckets(from, to, granularity, timezone) {
+  const buckets = [];
+  let start = bucketStart(from, granularity, timezone);
+  while (start < to && buckets.length <= MAX_BUCKETS) {
+    const end = nextBucketStart(start, granularity, timezone);
+    buckets.push({ start, end, label: bucketLabel(start, granularity, timezone) });
+    start = end;
+  }
+  return buckets;
+}
+
+// Adds up line items of several cost breakdowns (one per billing-month segment)
+function mergeBreakdowns(breakdowns, currency) {
+  const items = new Map();
+  let subtotal = 0;
+  let vat = 0;
+  breakdowns.forEach((breakdown) => {
+    subtotal += breakdown.subtotal;
+    vat += breakdown.vat;
+    breakdown.lineItems.forEach((item) => {
+      const key = `${item.type}|${item.type === "demand" ? "" : item.description}`;
+      const existing = items.get(key);
+      if (existing) {
+        existing.amount += item.amount;
+        if (item.kwh !== undefined) existing.kwh += item.kwh;
+      } else {
+        items.set(key, {
+          ...item,
+          ...(item.type === "demand" ? { description: "Demand charge (prorated)" } : {}),
+        });
+      }
+    });
+  });
+  const round = (value, digits = 2) => parseFloat(value.toFixed(digits));
+  return {
+    currency,
+    lineItems: [...items.values()].map((item) => ({
+      ...item,
+      ...(item.kwh !== undefined ? { kwh: round(item.kwh, 4) } : {}),
+      amount: round(item.amount),
+    })),
+    subtotal: round(subtotal),
+    vat: round(vat),
+    total: round(subtotal + vat),
+  };
+}
+
+// Energy and cost per bucket. Returns { buckets, totals, costBreakdown }.
+export async function getEnergyBuckets(
+  deviceId,
+  { from, to, granularity, timezone, maxGapMs = MAX_GAP_MS },
+) {
+  const tariff = await getTariff();
+  const buckets = buildBuckets(from, to, granularity, timezone);
+  // The first and last buckets are clipped to the requested range
+  if (buckets[0].start < from) buckets[0].start = from;
+  const last = buckets[buckets.length - 1];
+  if (last.end > to) last.end = to;
+  const rangeStart = buckets[0].start;
+
+  // Integrate from the start of the billing month so the first bucket is
+  // priced with the right month-to-date slab position
+  const integrationStart = billingMonthStart(rangeStart, tariff.timezone);
+  const monthStarts = [];
+  for (
+    let month = integrationStart;
+    month < to;
+    month = billingMonthStart(new Date(month.getTime() + 32 * 86400000), tariff.timezone)
+  ) {
+    monthStarts.push(month.getTime());
+  }
+
+  const splitPoints = [
+    ...new Set([...buckets.map((b) => b.start.getTime()), ...monthStarts, to.getTime()]),
+  ].sort((a, b) => a - b);
+
+  // Segments are keyed by bucket and billing month
+  const segments = new Map();
+  const hourCache = new Map();
+  const tariffHour = (ms) => {
+    const key = Math.floor(ms / 900000); // no timezone offset is finer than 15 minutes
+    if (!hourCache.has(key)) {
+      hourCache.set(key, getZonedParts(new Date(key * 900000), tariff.timezone).hour);
+    }
+    return hourCache.get(key);
+  };
+
+  let bucketIndex = 0;
+  let monthIndex = 0;
+  let pointIndex = 0;
+
+  await integrateEnergy(
+    deviceId,
+    integrationStart,
+    to,
+    (intervalStart, intervalEnd, intervalKwh, method) => {
+      let pieceStart = intervalStart;
+      while (pieceStart < intervalEnd) {
+        while (pointIndex < splitPoints.length && splitPoints[pointIndex] <= pieceStart) {
+          pointIndex++;
+        }
+        const pieceEnd = Math.min(intervalEnd, splitPoints[pointIndex] ?? Infinity);
+
+        while (bucketIndex < buckets.length && buckets[bucketIndex].end.getTime() <= pieceStart) {
+          bucketIndex++;
+        }
+        while (monthIndex + 1 < monthStarts.length && monthStarts[monthIndex + 1] <= pieceStart) {
+          monthIndex++;
+        }
+        const monthStart = monthStarts[monthIndex];
+        const inRange = pieceStart >= rangeStart.getTime() && bucketIndex < buckets.length;
+
+        const key = `${inRange ? bucketIndex : -1}|${monthStart}`;
+        let segment = segments.get(key);
+        if (!segment) {
+          segment = {
+            bucketIndex: inRange ? bucketIndex : -1,
+            monthStart,
+            start: pieceStart,
+            end: pieceEnd,
+            kwh: 0,
+            byHour: new Array(24).fill(0),
+            methods: new Set(),
+          };
+          segments.set(key, segment);
+        }
+        const kwh = (intervalKwh * (pieceEnd - pieceStart)) / (intervalEnd - intervalStart);
+        segment.kwh += kwh;
+        segment.methods.add(method);
+        segment.byHour[tariffHour((pieceStart + pieceEnd) / 2)] += kwh;
+        segment.end = pieceEnd;
+
+        pieceStart = pieceEnd;
+      }
+    },
+    maxGapMs,
+  );
+
+  // Price segments in chronological order, tracking month-to-date kWh
+  const monthToDate = new Map();
+  const bucketBreakdowns = buckets.map(() => []);
+  [...segments.values()]
+    .sort((a, b) => a.start - b.start)
+    .forEach((segment) => {
+      const prior = monthToDate.get(segment.monthStart) || 0;
+      monthToDate.set(segment.monthStart, prior + segment.kwh);
+      if (segment.bucketIndex === -1) return;
+
+      const bucket = buckets[segment.bucketIndex];
+      const periodStart = new Date(Math.max(bucket.start.getTime(), segment.monthStart));
+      const nextMonth = billingMonthStart(
+        new Date(segment.monthStart + 32 * 86400000),
+        tariff.timezone,
+      );
+      const periodEnd = new Date(Math.min(bucket.end.getTime(), nextMonth.getTime()));
+      bucketBreakdowns[segment.bucketIndex].push(
+        calculateCost(tariff, {
+          kwh: segment.kwh,
+          kwhByHour: segment.byHour,
+          monthToDateKwh: prior,
+          periodStart,
+          periodEnd,
+        }),
+      );
+    });
+
+  let totalKwh = 0;
+  const allBreakdowns = [];
+  const allMethods = new Set();
+  const result = buckets.map((bucket, index) => {
+    const { kwh, methods } = summariseSegments(segments, index);
+    totalKwh += kwh;
+    methods.forEach((method) => allMethods.add(method));
+    allBreakdowns.push(...bucketBreakdowns[index]);
+    const cost = bucketBreakdowns[index].reduce((sum, b) => sum + b.total, 0);
+    return {
+      start: bucket.start.toISOString(),
+      end: bucket.end.toISOString(),
+      label: bucket.label,
+      kwh: parseFloat(kwh.toFixed(4)),
+      cost: parseFloat(cost.toFixed(2)),
+      method: describeMethods(methods),
+    };
+  });
+
+  const costBreakdown = mergeBreakdowns(allBreakdowns, tariff.currency);
+  return {
+    buckets: result,
+    totals: {
+      kwh: parseFloat(totalKwh.toFixed(4)),
+      cost: costBreakdown.total,
+      currency: tariff.currency,
+      method: describeMethods(allMethods),
+    },
+    costBreakdown,
+  };
+}
+
+function summariseSegments(segments, bucketIndex) {
+  let kwh = 0;
+  const methods = new Set();
+  segments.forEach((segment) => {
+    if (segment.bucketIndex !== bucketIndex) return;
+    kwh += segment.kwh;
+    segment.methods.forEach((method) => methods.add(method));
+  });
+  return { kwh, methods };
+}
+
+export const energyRouter = express.Router();
+
+// GET /energy?from=&to=&granularity=hour|day|week|month&tz=&deviceId=&maxGap=
+energyRouter.get(["/energy", "/devices/:id/energy"], async (req, res) => {
+  try {
+    const deviceId = req.params.id || req.query.deviceId || getDefaultDeviceId();
+    if (!deviceId || !getDevice(deviceId)) {
+      return res.status(404).json({
+        success: false,
+        error: `Device ${deviceId || "(none)"} is not registered`,
+      });
+    }
+
+    const timezone = getUserTimezone(req);
+    const granularity = req.query.granularity || "day";
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from
+      ? new Date(req.query.from)
+      : new Date(to.getTime() - 7 * 24 * 60 * 60 * 1000);
+    const maxGapMs = req.query.maxGap ? Number(req.query.maxGap) * 1000 : MAX_GAP_MS;
+
+    const errors = [];
+    if (!isValidTimezone(timezone)) errors.push(`Unknown timezone: ${timezone}`);
+    if (!GRANULARITIES.includes(granularity)) {
+      errors.push(`granularity must be one of ${GRANULARITIES.join(", ")}`);
+    }
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+      errors.push("from/to must be ISO dates");
+    } else if (from >= to) {
+      errors.push("from must be before to");
+    } else if (to - from > MAX_RANGE_MS) {
+      errors.push("range must not exceed 366 days");
+    }
+    if (Number.isNaN(maxGapMs) || maxGapMs <= 0) {
+      errors.push("maxGap must be a positive number of seconds");
+    }
+    if (errors.length === 0 && buildBuckets(from, to, granularity, timezone).length > MAX_BUCKETS) {
+      errors.push(`range produces more than ${MAX_BUCKETS} ${granularity} buckets`);
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid energy query",
+        details: errors,
+      });
+    }
+
+    const energy = await getEnergyBuckets(deviceId, {
+      from,
+      to,
+      granularity,
+      timezone,
+      maxGapMs,
+    });
+
+    res.json({
+      success: true,
+      data: {
+        deviceId,
+        timeRange: {
+          start: from.toISOString(),
+          end: to.toISOString(),
+          timezone,
+        },
+        granularity,
+        maxGapSeconds: maxGapMs / 1000,
+        unit: TELEMETRY_UNITS.energy,
+        ...energy,
+        calculationMethod: describeCalculationMethod(energy.totals.method),
+      },
+    });
+  } catch (error) {
+    console.error("Error calculating energy:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to calculate energy",
+      details: error.message,
+    });
+  }
+});
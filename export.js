@@ -0,0 +1,254 @@
+import express from "express";
+import { Readable } from "stream";
+import { pipeline } from "stream/promises";
+import { getDevice, getDefaultDeviceId } from "./devices.js";
+import { getTelemetryCollection } from "./telemetry.js";
+import { getRollupCollection } from "./rollups.js";
+import {
+  GRANULARITIES,
+  getEnergyBuckets,
+  bucketStart,
+  nextBucketStart,
+} from "./energy.js";
+import { getTariff } from "./tariff.js";
+import { getUserTimezone, getLocalDateTimeString } from "./timezone.js";
+
+// Spreadsheet exports. Rows are produced from Mongo cursors and piped to the
+// response, so memory use does not grow with the range:
+//   GET /export/telemetry?from=&to=&tz=&granularity=raw|minute|hour|day&format=csv|ndjson
+//   GET /export/energy?from=&to=&tz=&granularity=hour|day|week|month&format=csv|ndjson
+// Both also exist as /devices/:id/export/... Values are in the telemetry units
+// (W, V, mA, kWh); `localTime` columns are in the requested timezone.
+
+const FORMATS = ["csv", "ndjson"];
+const TELEMETRY_GRANULARITIES = ["raw", "minute", "hour", "day"];
+const MAX_RANGE_MS = 366 * 24 * 60 * 60 * 1000;
+// Energy is computed in chunks of about a month of buckets
+const ENERGY_CHUNK_MS = 28 * 24 * 60 * 60 * 1000;
+
+const TELEMETRY_COLUMNS = [
+  "timestamp",
+  "localTime",
+  "powerW",
+  "voltageV",
+  "currentMa",
+  "switchOn",
+  "energyKwh",
+];
+const ROLLUP_COLUMNS = [
+  "bucket",
+  "localTime",
+  "count",
+  "powerAvgW",
+  "powerMinW",
+  "powerMaxW",
+  "voltageAvgV",
+  "voltageMinV",
+  "voltageMaxV",
+  "currentAvgMa",
+  "currentMinMa",
+  "currentMaxMa",
+  "kwh",
+  "onSeconds",
+];
+const ENERGY_COLUMNS = ["start", "end", "label", "kwh", "cost", "currency", "method"];
+
+function csvValue(value) {
+  if (value === null || value === undefined) return "";
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Serialises row objects to CSV lines (header first) or NDJSON
+async function* serialize(rows, columns, format) {
+  if (format === "csv") yield `${columns.join(",")}\n`;
+  for await (const row of rows) {
+    yield format === "csv"
+      ? `${columns.map((column) => csvValue(row[column])).join(",")}\n`
+      : `${JSON.stringify(row)}\n`;
+  }
+}
+
+async function* telemetryRows(deviceId, from, to, timezone) {
+  const cursor = getTelemetryCollection()
+    .find(
+      { deviceId, timestamp: { $gte: from, $lt: to } },
+      { projection: { _id: 0, raw: 0, schemaVersion: 0, deviceId: 0 } },
+    )
+    .sort({ timestamp: 1 });
+
+  for await (const doc of cursor) {
+    yield {
+      timestamp: doc.timestamp.toISOString(),
+      localTime: getLocalDateTimeString(doc.timestamp, timezone),
+      powerW: doc.powerW,
+      voltageV: doc.voltageV,
+      currentMa: doc.currentMa,
+      switchOn: doc.switchOn,
+      energyKwh: doc.energyKwh,
+    };
+  }
+}
+
+async function* rollupRows(deviceId, from, to, granularity, timezone) {
+  const cursor = getRollupCollection(granularity)
+    .find({ deviceId, bucket: { $gte: from, $lt: to } }, { projection: { _id: 0 } })
+    .sort({ bucket: 1 });
+
+  const avg = (doc, metric) => (doc.count > 0 ? doc[metric].sum / doc.count : null);
+  for await (const doc of cursor) {
+    yield {
+      bucket: doc.bucket.toISOString(),
+      localTime: getLocalDateTimeString(doc.bucket, timezone),
+      count: doc.count,
+      powerAvgW: avg(doc, "power"),
+      powerMinW: doc.power?.min ?? null,
+      powerMaxW: doc.power?.max ?? null,
+      voltageAvgV: avg(doc, "voltage"),
+      voltageMinV: doc.voltage?.min ?? null,
+      voltageMaxV: doc.voltage?.max ?? null,
+      currentAvgMa: avg(doc, "current"),
+      currentMinMa: doc.current?.min ?? null,
+      currentMaxMa: doc.current?.max ?? null,
+      kwh: doc.kwh,
+      onSeconds: doc.onSeconds,
+    };
+  }
+}
+
+// Energy buckets computed a chunk (about a month) at a time. Chunks end on a
+// bucket boundary, so no bucket is split across two rows.
+async function* energyRows(deviceId, from, to, granularity, timezone) {
+  const { currency } = await getTariff();
+  let chunkStart = from;
+  while (chunkStart < to) {
+    let chunkEnd = nextBucketStart(
+      bucketStart(chunkStart, granularity, timezone),
+      granularity,
+      timezone,
+    );
+    while (chunkEnd < to && chunkEnd - chunkStart < ENERGY_CHUNK_MS) {
+      chunkEnd = nextBucketStart(chunkEnd, granularity, timezone);
+    }
+    if (chunkEnd > to) chunkEnd = to;
+
+    const { buckets } = await getEnergyBuckets(deviceId, {
+      from: chunkStart,
+      to: chunkEnd,
+      granularity,
+      timezone,
+    });
+    for (const bucket of buckets) yield { ...bucket, currency };
+    chunkStart = chunkEnd;
+  }
+}
+
+function parseExportQuery(req, granularities, defaultGranularity) {
+  const errors = [];
+  const timezone = getUserTimezone(req);
+  const format = req.query.format || "csv";
+  const granularity = req.query.granularity || defaultGranularity;
+  const to = req.query.to ? new Date(req.query.to) : new Date();
+  const from = req.query.from
+    ? new Date(req.query.from)
+    : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+  if (!FORMATS.includes(format)) errors.push(`format must be one of ${FORMATS.join(", ")}`);
+  if (!granularities.includes(granularity)) {
+    errors.push(`granularity must be one of ${granularities.join(", ")}`);
+  }
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+    errors.push("from/to must be ISO dates");
+  } else if (from >= to) {
+    errors.push("from must be before to");
+  } else if (to - from > MAX_RANGE_MS) {
+    errors.push("range must not exceed 366 days");
+  }
+
+  return { errors, timezone, format, granularity, from, to };
+}
+
+// Validates the request, then streams `rows` with download headers. Errors
+// after the first byte can only abort the response.
+async function sendExport(req, res, { name, granularities, defaultGranularity, columns, rows }) {
+  const deviceId = req.params.id || req.query.deviceId || getDefaultDeviceId();
+  if (!deviceId || !getDevice(deviceId)) {
+    return res.status(404).json({
+      success: false,
+      error: `Device ${deviceId || "(none)"} is not registered`,
+    });
+  }
+
+  const query = parseExportQuery(req, granularities, defaultGranularity);
+  if (query.errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: "Invalid export query",
+      details: query.errors,
+    });
+  }
+
+  const { format, granularity, from, to, timezone } = query;
+  const day = (date) => date.toISOString().split("T")[0];
+  const filename = `${name}-${deviceId}-${granularity}-${day(from)}-${day(to)}.${format}`;
+  res.setHeader(
+    "Content-Type",
+    format === "csv" ? "text/csv; charset=utf-8" : "application/x-ndjson",
+  );
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+
+  console.log(`📤 Exporting ${name} for ${deviceId} (${granularity}, ${format})`);
+  const columnsForGranularity = typeof columns === "function" ? columns(granularity) : columns;
+  await pipeline(
+    Readable.from(
+      serialize(rows(deviceId, from, to, granularity, timezone), columnsForGranularity, format),
+    ),
+    res,
+  );
+}
+
+function handleExportError(name, res, error) {
+  console.error(`Error exporting ${name}:`, error);
+  if (res.headersSent) {
+    res.destroy(error);
+    return;
+  }
+  res.status(500).json({
+    success: false,
+    error: `Failed to export ${name}`,
+    details: error.message,
+  });
+}
+
+export const exportRouter = express.Router();
+
+exportRouter.get(["/export/telemetry", "/devices/:id/export/telemetry"], async (req, res) => {
+  try {
+    await sendExport(req, res, {
+      name: "telemetry",
+      granularities: TELEMETRY_GRANULARITIES,
+      defaultGranularity: "raw",
+      columns: (granularity) => (granularity === "raw" ? TELEMETRY_COLUMNS : ROLLUP_COLUMNS),
+      rows: (deviceId, from, to, granularity, timezone) =>
+        granularity === "raw"
+          ? telemetryRows(deviceId, from, to, timezone)
+          : rollupRows(deviceId, from, to, granularity, timezone),
+    });
+  } catch (error) {
+    handleExportError("telemetry", res, error);
+  }
+});
+
+exportRouter.get(["/export/energy", "/devices/:id/export/energy"], async (req, res) => {
+  try {
+    await sendExport(req, res, {
+      name: "energy",
+      granularities: GRANULARITIES,
+      defaultGranularity: "day",
+      columns: ENERGY_COLUMNS,
+      rows: energyRows,
+    });
+  } catch (error) {
+    handleExportError("energy", res, error);
+  }
+});
@@ -0,0 +1,137 @@
+import crypto from "crypto";
+import express from "express";
+import dotenv from "dotenv";
+import { registry } from "./metrics.js";
+import { getAccessToken } from "./tuya.js";
+import { listDevices } from "./devices.js";
+import { getPollingStatus } from "./poller.js";
+import { getBufferStatus } from "./offline-buffer.js";
+import { verifyAccessToken, hasRole } from "./auth.js";
+
+dotenv.config();
+
+// Probes for orchestrators and monitoring. Public, see auth.js:
+//   GET /healthz  the process is up
+//   GET /readyz   MongoDB answers a ping, a Tuya token can be obtained and
+//                 a poll succeeded within READY_MAX_POLL_AGE_SECONDS;
+//                 503 listing the failing checks otherwise. Error messages
+//                 and the offline write buffer (offline-buffer.js) are only
+//                 shown with METRICS_TOKEN or an admin's access token.
+//   GET /metrics  Prometheus text format (metrics.js). When METRICS_TOKEN is
+//                 set, scrapers must send it as a Bearer token.
+
+const MAX_POLL_AGE = (Number(process.env.READY_MAX_POLL_AGE_SECONDS) || 120) * 1000;
+const CHECK_TIMEOUT = 5000;
+const { METRICS_TOKEN } = process.env;
+
+let database = null;
+
+export function initHealth(db) {
+  database = db;
+}
+
+function withTimeout(promise, ms) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+    }),
+  ]).finally(() => clearTimeout(timer));
+}
+
+// Runs a check, turning its outcome into { ok, latencyMs, error, ... }
+async function runCheck(check) {
+  const started = Date.now();
+  try {
+    const details = await withTimeout(check(), CHECK_TIMEOUT);
+    return { ok: true, latencyMs: Date.now() - started, ...details };
+  } catch (error) {
+    return { ok: false, latencyMs: Date.now() - started, error: error.message };
+  }
+}
+
+async function checkPolling() {
+  if (listDevices().length === 0) return { devices: 0 };
+
+  const lastSuccess = getPollingStatus()
+    .devices.map((device) => device.lastSuccessAt)
+    .filter(Boolean)
+    .sort((a, b) => b - a)[0];
+  if (!lastSuccess) throw new Error("No successful poll yet");
+
+  const ageSeconds = Math.round((Date.now() - lastSuccess) / 1000);
+  if (Date.now() - lastSuccess > MAX_POLL_AGE) {
+    throw new Error(`Last successful poll ${ageSeconds}s ago`);
+  }
+  return { lastSuccessAt: lastSuccess, ageSeconds };
+}
+
+function isMetricsRequestAllowed(req) {
+  if (!METRICS_TOKEN) return true;
+  const header = req.headers.authorization || "";
+  const expected = Buffer.from(`Bearer ${METRICS_TOKEN}`);
+  const actual = Buffer.from(header);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+function canSeeDetails(req) {
+  if (METRICS_TOKEN && isMetricsRequestAllowed(req)) return true;
+  const header = req.headers.authorization || "";
+  const user = verifyAccessToken(header.startsWith("Bearer ") ? header.slice(7) : null);
+  return Boolean(user && hasRole(user, "admin"));
+}
+
+export const healthRouter = express.Router();
+
+healthRouter.get("/healthz", (req, res) => {
+  res.json({ success: true, data: { status: "ok", uptimeSeconds: Math.round(process.uptime()) } });
+});
+
+healthRouter.get("/readyz", async (req, res) => {
+  const [mongo, tuyaToken, polling] = await Promise.all([
+    runCheck(async () => {
+      await database.command({ ping: 1 });
+    }),
+    runCheck(async () => {
+      await getAccessToken();
+    }),
+    runCheck(checkPolling),
+  ]);
+  const checks = { mongo, tuyaToken, polling };
+  const ready = Object.values(checks).every((check) => check.ok);
+  const status = ready ? "ready" : "not_ready";
+
+  if (!canSeeDetails(req)) {
+    return res.status(ready ? 200 : 503).json({
+      success: ready,
+      data: {
+        status,
+        checks: Object.fromEntries(
+          Object.entries(checks).map(([name, check]) => [name, { ok: check.ok }]),
+        ),
+      },
+    });
+  }
+  res.status(ready ? 200 : 503).json({
+    success: ready,
+    data: { status, checks, writeBuffer: getBufferStatus() },
+  });
+});
+
+healthRouter.get("/metrics", async (req, res) => {
+  if (!isMetricsRequestAllowed(req)) {
+    return res.status(401).json({ success: false, error: "Invalid metrics token" });
+  }
+  try {
+    res.setHeader("Content-Type", registry.contentType);
+    res.send(await registry.metrics());
+  } catch (error) {
+    console.error("Error collecting metrics:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to collect metrics",
+      details: error.message,
+    });
+  }
+});
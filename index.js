@@ -1,7 +1,94 @@
 import express from "express";
 import { MongoClient } from "mongodb";
 import dotenv from "dotenv";
-import { fetchDeviceStatus, controlDeviceSwitch } from "./tuya.js";
+import {
+  fetchDeviceStatus,
+  controlDeviceSwitch,
+  fetchDeviceFunctions,
+  validateDeviceCommands,
+  sendDeviceCommands,
+  fetchDeviceLogs,
+  fetchDeviceSpecifications,
+  getStatusSpecs,
+} from "./tuya.js";
+import {
+  initDeviceRegistry,
+  loadConfiguredDevices,
+  listDevices,
+  getDevice,
+  getDefaultDeviceId,
+  addDevice,
+  removeDevice,
+} from "./devices.js";
+import {
+  DEFAULT_TIMEZONE,
+  getUserTimezone,
+  validateTimezoneParam,
+  getTodayStartInTimezone,
+  getTodayEndInTimezone,
+  getDayStartInTimezone,
+  getLocalDateString,
+  getLocalDateStringDaysAgo,
+} from "./timezone.js";
+import {
+  getConsumption,
+  describeCalculationMethod,
+  toReading,
+} from "./consumption.js";
+import {
+  TELEMETRY_UNITS,
+  initTelemetry,
+  normalizeStatus,
+  insertTelemetry,
+  getTelemetryCollection,
+  replayBufferedTelemetry,
+  telemetryRouter,
+} from "./telemetry.js";
+import { initTariff, getTariff, getCostBreakdown, tariffRouter } from "./tariff.js";
+import { energyRouter } from "./energy.js";
+import { exportRouter } from "./export.js";
+import { initReports, startReportScheduler, reportRouter } from "./reports.js";
+import {
+  initRollups,
+  backfillMissingRollups,
+  getHourlyAverages,
+  getDailyAverages,
+  recordRollupReading,
+  aggregateRollups,
+  backfillRollups,
+  rollupRouter,
+} from "./rollups.js";
+import { initSchedules, startScheduler, scheduleRouter } from "./schedules.js";
+import { initRules, startRuleReloads, evaluateRules, ruleRouter } from "./rules.js";
+import {
+  initAlerts,
+  raiseAlert,
+  resolveAlert,
+  checkReadingAlerts,
+  alertRouter,
+} from "./alerts.js";
+import {
+  initAuth,
+  authenticate,
+  authRouter,
+  isAllowedOrigin,
+  verifyWebSocketClient,
+} from "./auth.js";
+import { initAudit, recordAudit, withAudit, actorFromRequest, auditRouter } from "./audit.js";
+import { initRealtime, publish, hasSubscribers } from "./realtime.js";
+import { PUSH_ENABLED, startPushIngestion } from "./pulsar.js";
+import { startPolling, requestPoll, pollerRouter } from "./poller.js";
+import { pollsTotal, recordTelemetryMetrics, forgetDeviceMetrics } from "./metrics.js";
+import { initHealth, healthRouter } from "./health.js";
+import { initOfflineBuffer } from "./offline-buffer.js";
+import {
+  initAvailability,
+  recordConnectivity,
+  checkAvailability,
+  getConnectivity,
+  startAvailabilityMonitor,
+  availabilityRouter,
+} from "./availability.js";
 import { WebSocketServer } from "ws";
 import http from "http";
 import cors from "cors";
@@ -9,82 +96,468 @@ import cors from "cors";
 dotenv.config();
 
 const app = express();
-app.use(cors());
+app.use(
+  cors({
+    origin: (origin, callback) => callback(null, isAllowedOrigin(origin)),
+  }),
+);
 app.use(express.json()); // Add this to parse JSON request bodies
+
+// Until MongoDB is connected and initialised only the probes and the polling
+// status answer; everything else is 503
+let databaseReady = false;
+const NO_DATABASE_PATHS = ["/healthz", "/readyz", "/metrics", "/polling"];
+app.use((req, res, next) => {
+  if (databaseReady || NO_DATABASE_PATHS.includes(req.path)) return next();
+  res.status(503).json({ success: false, error: "Database is not connected yet" });
+});
+
+app.use(authenticate);
+app.use(authRouter);
+app.use(validateTimezoneParam);
 const server = http.createServer(app);
-const wss = new WebSocketServer({ server });
+const wss = new WebSocketServer({ server, verifyClient: verifyWebSocketClient });
+
+// Connections are closed when their access token expires; the dashboard
+// reconnects with a refreshed token
+wss.on("connection", (ws, req) => {
+  const expiryTimer = setTimeout(
+    () => ws.close(4001, "Token expired"),
+    Math.max(req.user.expiresAt - Date.now(), 0),
+  );
+  ws.on("close", () => clearTimeout(expiryTimer));
+});
 const PORT = process.env.PORT || 5000;
-const client = new MongoClient(process.env.MONGO_URI);
+// Fail fast while MongoDB is down so readings go to the offline buffer
+// instead of holding up polls
+const client = new MongoClient(process.env.MONGO_URI, {
+  serverSelectionTimeoutMS: Number(process.env.MONGO_SERVER_SELECTION_TIMEOUT_MS) || 5000,
+});
 const dbName = "tuya";
-const collectionName = "device_data";
-
-await client.connect();
-console.log("Connected to MongoDB Atlas");
 const db = client.db(dbName);
-const collection = db.collection(collectionName);
+const DB_RETRY_MAX_DELAY = 60000;
+const BUFFER_REPLAY_INTERVAL = 30000;
+
+initHealth(db);
+loadConfiguredDevices();
+await initOfflineBuffer();
+
+// Live reading as sent on the "telemetry" WebSocket channel
+function toLiveReading(doc) {
+  return {
+    deviceId: doc.deviceId,
+    time: doc.timestamp.toISOString(),
+    current: doc.currentMa ?? 0,
+    voltage: doc.voltageV ?? 0,
+    power: doc.powerW ?? 0,
+    units: TELEMETRY_UNITS,
+  };
+}
 
-const deviceId = process.env.TUYA_DEVICE_ID;
+// Snapshots of devices that have not been polled since the server started
+initRealtime(wss, {
+  snapshot: async (deviceId) => {
+    const doc = await getTelemetryCollection().findOne(
+      { deviceId },
+      { sort: { timestamp: -1 } },
+    );
+    const connectivity = getConnectivity(deviceId);
+    return {
+      telemetry: doc ? toLiveReading(doc) : null,
+      switch: doc ? { switchOn: doc.switchOn, time: doc.timestamp.toISOString() } : null,
+      availability: connectivity && { online: connectivity.online, since: connectivity.since },
+    };
+  },
+});
+
+// Every init is safe to repeat, so a failed attempt is simply retried. Timers
+// and background jobs are started once, by connectDatabase().
+async function initDatabase() {
+  await client.connect();
+  console.log("Connected to MongoDB Atlas");
+
+  await initAuth(db);
+  await initDeviceRegistry(db);
+  await initTelemetry(db);
+  initTariff(db);
+  await initRollups(db);
+  initReports(db);
+  await initSchedules(db);
+
+  await initAudit(db, {
+    publish: (entry) => publish("audit", entry, { deviceId: entry.deviceId }),
+  });
+
+  await initAlerts(db, { publish });
 
-function broadcast(data) {
-  const json = JSON.stringify(data);
-  wss.clients.forEach((client) => {
-    if (client.readyState === 1) client.send(json);
+  await initAvailability(db, { onChange: onConnectivityChange });
+
+  await initRules(db, {
+    notify: ({ rule, value, message }) =>
+      raiseAlert({
+        key: `rule:${rule._id}`,
+        type: "rule",
+        severity: "warning",
+        deviceId: rule.deviceId,
+        message,
+        details: { ruleId: rule._id, value, condition: rule.condition },
+      }),
   });
 }
 
-let consecutiveFailures = 0;
-const maxConsecutiveFailures = 40;
+// Readings buffered during an outage go back into telemetry; the rollups of
+// the affected days are rebuilt since the live updates were lost
+async function replayBufferedReadings() {
+  const ranges = await replayBufferedTelemetry();
+  for (const [deviceId, { from, to }] of ranges) {
+    await backfillRollups(deviceId, from, to).catch((err) =>
+      console.error(`Error rebuilding rollups of ${deviceId}:`, err.message),
+    );
+  }
+}
+
+// Connects in the background with exponential backoff; the HTTP server and
+// polling run in the meantime
+async function connectDatabase() {
+  for (let attempt = 0; !databaseReady; attempt++) {
+    try {
+      await initDatabase();
+      databaseReady = true;
+    } catch (error) {
+      const delay = Math.min(DB_RETRY_MAX_DELAY, 1000 * 2 ** attempt);
+      console.error(`❌ MongoDB unavailable (${error.message}), retrying in ${delay / 1000}s`);
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
 
-async function pollDeviceStatus() {
+  // Schedules live in MongoDB, so they resume after a restart
+  startScheduler();
+  startReportScheduler();
+  startAvailabilityMonitor();
+  startRuleReloads();
+  backfillMissingRollups().catch((err) =>
+    console.error("Error checking for missing rollups:", err.message),
+  );
+
+  const replay = () =>
+    replayBufferedReadings().catch((err) =>
+      console.error("Error replaying buffered readings:", err.message),
+    );
+  replay();
+  setInterval(replay, BUFFER_REPLAY_INTERVAL);
+}
+
+connectDatabase();
+
+// Last polled switch state per device; changes go to the "switch" channel
+const lastSwitchState = new Map();
+// Last full status per device; push reports only carry the changed data points
+const lastStatus = new Map();
+// Time of the last stored reading per device
+const lastReadingAt = new Map();
+// Devices with an open device_offline alert
+const offlineDevices = new Set();
+const offlineAlertAfter = 60000; // one minute of failed polls
+
+// Stores a full status and fans it out to WebSocket clients, rollups, rules
+// and alerts. Shared by polling and push ingestion; returns the telemetry doc.
+async function ingestStatus(deviceId, status, timestamp = new Date()) {
+  lastReadingAt.set(deviceId, timestamp);
+  const specs = await getStatusSpecs(deviceId);
+  const doc = await insertTelemetry(normalizeStatus(deviceId, timestamp, status, specs));
+  const reading = toReading(doc);
+  recordTelemetryMetrics(doc);
+
+  const transformed = toLiveReading(doc);
+  publish("telemetry", transformed, { deviceId });
+
+  const previousSwitchOn = lastSwitchState.get(deviceId);
+  if (doc.switchOn !== null && doc.switchOn !== previousSwitchOn) {
+    lastSwitchState.set(deviceId, doc.switchOn);
+    publish(
+      "switch",
+      {
+        switchOn: doc.switchOn,
+        previous: previousSwitchOn ?? null,
+        time: transformed.time,
+      },
+      { deviceId },
+    );
+  }
+
+  recordRollupReading(deviceId, reading).catch((err) =>
+    console.error("Error updating rollups:", err.message),
+  );
+
+  // Rules may query today's consumption, don't hold up ingestion for them
+  evaluateRules({ deviceId, ...reading }).catch((err) =>
+    console.error("Error evaluating rules:", err.message),
+  );
+  checkReadingAlerts(transformed).catch((err) =>
+    console.error("Error checking reading alerts:", err.message),
+  );
+  return doc;
+}
+
+// Called by the poller (see poller.js), which handles failures and backoff
+async function pollDeviceStatus(deviceId) {
   try {
     const status = await fetchDeviceStatus(deviceId);
+    lastStatus.set(deviceId, status);
+    const doc = await ingestStatus(deviceId, status);
+    pollsTotal.inc({ device: deviceId, outcome: "success" });
+    console.log(`✅ Polling successful for ${deviceId} at ${new Date().toISOString()}`);
+    return doc;
+  } catch (error) {
+    pollsTotal.inc({ device: deviceId, outcome: "failure" });
+    throw error;
+  }
+}
 
-    consecutiveFailures = 0;
+function onPollSuccess(deviceId) {
+  if (!offlineDevices.delete(deviceId)) return;
+  resolveAlert(`device_offline:${deviceId}`).catch((err) =>
+    console.error("Error resolving alert:", err.message),
+  );
+}
 
-    const doc = {
-      timestamp: new Date(),
-      status,
-    };
-    await collection.insertOne(doc);
+function onPollFailure(deviceId, { failures, failingSince, error }) {
+  console.error(`❌ Polling failed for ${deviceId} (${failures}):`, error.message);
+  if (offlineDevices.has(deviceId) || Date.now() - failingSince < offlineAlertAfter) return;
+
+  offlineDevices.add(deviceId);
+  raiseAlert({
+    key: `device_offline:${deviceId}`,
+    type: "device_offline",
+    severity: "critical",
+    deviceId,
+    message: `Device ${deviceId} unreachable: ${failures} consecutive polls failed`,
+    details: { failures, failingSince, lastError: error.message },
+  }).catch((alertErr) => console.error("Error raising alert:", alertErr.message));
+}
 
-    const transformed = {
-      time: doc.timestamp.toISOString(),
-      current: getValue(status, "cur_current"),
-      voltage: getValue(status, "cur_voltage"),
-      power: getValue(status, "cur_power"),
-    };
+// An open circuit means the Tuya API itself is unreachable
+function onCircuitChange({ state, failures, lastError }) {
+  publish("system", { event: "polling_circuit", state });
+
+  if (state === "open") {
+    raiseAlert({
+      key: "api_unreachable",
+      type: "api_unreachable",
+      severity: "critical",
+      message: `Tuya API unreachable: ${failures} consecutive polls failed, polling paused`,
+      details: { failures, lastError },
+    }).catch((alertErr) => console.error("Error raising alert:", alertErr.message));
+  } else if (state === "closed") {
+    resolveAlert("api_unreachable").catch((err) =>
+      console.error("Error resolving alert:", err.message),
+    );
+  }
+}
 
-    broadcast(transformed);
-    console.log(`✅ Polling successful at ${new Date().toISOString()}`);
-  } catch (err) {
-    consecutiveFailures++;
-    console.error(`❌ Polling failed (${consecutiveFailures}):`, err.message);
+// Connectivity transitions (availability.js): the plug dropped off the network
+// or came back
+function onConnectivityChange({ deviceId, type, at, source }) {
+  publish("availability", { online: type === "online", since: at, source }, { deviceId });
+
+  if (type === "offline") {
+    raiseAlert({
+      key: `device_disconnected:${deviceId}`,
+      type: "device_disconnected",
+      severity: "critical",
+      deviceId,
+      message: `Device ${deviceId} went offline`,
+      details: { at, source },
+    }).catch((alertErr) => console.error("Error raising alert:", alertErr.message));
+  } else {
+    resolveAlert(`device_disconnected:${deviceId}`).catch((err) =>
+      console.error("Error resolving alert:", err.message),
+    );
+  }
+}
 
-    // If too many failures — trigger restart
-    if (consecutiveFailures >= maxConsecutiveFailures) {
-      console.error(
-        `🚨 CRITICAL: ${consecutiveFailures} failures. Restarting server in 10 seconds...`,
-      );
+// Push online/offline events; anything else is only logged
+async function ingestPushEvent({ deviceId, bizCode, t }) {
+  if (!getDevice(deviceId)) return;
+  if (bizCode !== "online" && bizCode !== "offline") {
+    console.log(`📡 Push event ${bizCode} for ${deviceId}`);
+    return;
+  }
+  await recordConnectivity(deviceId, bizCode === "online", {
+    at: t ? new Date(t) : new Date(),
+    source: "push",
+  });
+}
 
-      broadcast({
-        error: "Server restarting due to persistent API failures",
-        timestamp: new Date().toISOString(),
-      });
+// Push status reports merged into the last full status. A device without one
+// yet is fetched once; errors leave the message unacknowledged for redelivery.
+async function ingestPushStatus({ deviceId, status, time }) {
+  if (!getDevice(deviceId)) return;
+  if (!lastStatus.has(deviceId)) {
+    lastStatus.set(deviceId, await fetchDeviceStatus(deviceId));
+  }
+  const merged = new Map(lastStatus.get(deviceId).map((dp) => [dp.code, dp]));
+  status.forEach(({ code, value }) => merged.set(code, { code, value }));
+  const full = [...merged.values()];
+  lastStatus.set(deviceId, full);
+  // Stored at the device time, so a backlog delivered after a reconnect lands
+  // where it belongs; the ingest time is used when the device time is missing
+  // or would go back before the last reading
+  const last = lastReadingAt.get(deviceId);
+  await ingestStatus(deviceId, full, time && (!last || time > last) ? time : new Date());
+}
 
-      setTimeout(() => {
-        console.error("🔄 RESTARTING SERVER");
-        process.exit(1); // Exit with error code (handled by pm2/systemd)
-      }, 10000); // 10 seconds delay before restart
-    }
+// With push connected, polling only reconciles
+startPolling({
+  poll: pollDeviceStatus,
+  onSuccess: onPollSuccess,
+  onFailure: onPollFailure,
+  onCircuitChange,
+});
+if (PUSH_ENABLED) {
+  startPushIngestion({ onStatus: ingestPushStatus, onEvent: ingestPushEvent });
+}
+
+// Today's energy (in the tariff timezone) from the minute rollups, published
+// once a minute for devices somebody is subscribed to
+async function publishEnergy() {
+  const devices = listDevices().filter((d) => hasSubscribers("energy", d.deviceId));
+  if (devices.length === 0) return;
+
+  const { timezone } = await getTariff();
+  const now = new Date();
+  const since = getTodayStartInTimezone(timezone, now);
+  for (const { deviceId } of devices) {
+    const [totals] = await aggregateRollups("minute", deviceId, since, now, null);
+    publish(
+      "energy",
+      {
+        kwh: totals ? parseFloat(totals.kwh.toFixed(4)) : 0,
+        onSeconds: totals?.onSeconds ?? 0,
+        maxPower: totals?.maxPower ?? null,
+        since: since.toISOString(),
+        timezone,
+        units: TELEMETRY_UNITS,
+      },
+      { deviceId },
+    );
+  }
+}
+
+setInterval(() => {
+  publishEnergy().catch((err) => console.error("Error publishing energy:", err.message));
+}, 60000);
+
+app.use(scheduleRouter);
+app.use(ruleRouter);
+app.use(alertRouter);
+app.use(tariffRouter);
+app.use(energyRouter);
+app.use(rollupRouter);
+app.use(telemetryRouter);
+app.use(exportRouter);
+app.use(reportRouter);
+app.use(auditRouter);
+app.use(availabilityRouter);
+app.use(pollerRouter);
+app.use(healthRouter);
+
+// Resolves the target device for a request: `/devices/:id/...` routes use the
+// id from the path, the legacy single-device routes use the default device.
+// Sends a 404 and returns null when the device is not registered.
+function resolveDeviceId(req, res) {
+  const deviceId = req.params.id || getDefaultDeviceId();
+  if (!deviceId || !getDevice(deviceId)) {
+    res.status(404).json({
+      success: false,
+      error: req.params.id
+        ? `Device ${req.params.id} is not registered`
+        : "No devices configured",
+    });
+    return null;
   }
+  return deviceId;
 }
 
-// Start fixed-interval polling
-setInterval(pollDeviceStatus, 5000);
+// Device registry endpoints
+app.get("/devices", (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      defaultDeviceId: getDefaultDeviceId(),
+      devices: listDevices(),
+    },
+  });
+});
+
+app.post("/devices", async (req, res) => {
+  try {
+    const { deviceId, name } = req.body;
+
+    if (typeof deviceId !== "string" || deviceId.trim() === "") {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid deviceId parameter. Must be a non-empty string",
+      });
+    }
+
+    const device = await addDevice({
+      deviceId: deviceId.trim(),
+      name: typeof name === "string" ? name : null,
+    });
+    await recordAudit({
+      action: "device.create",
+      actor: actorFromRequest(req),
+      deviceId: device.deviceId,
+      request: { deviceId, name },
+    });
+
+    res.status(201).json({ success: true, data: device });
+  } catch (error) {
+    console.error("Error registering device:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to register device",
+      details: error.message,
+    });
+  }
+});
+
+app.delete("/devices/:id", async (req, res) => {
+  try {
+    const removed = await removeDevice(req.params.id);
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: `Device ${req.params.id} is not registered`,
+      });
+    }
+    offlineDevices.delete(req.params.id);
+    forgetDeviceMetrics(req.params.id);
+    lastSwitchState.delete(req.params.id);
+    lastStatus.delete(req.params.id);
+    await recordAudit({
+      action: "device.delete",
+      actor: actorFromRequest(req),
+      deviceId: req.params.id,
+    });
+    res.json({ success: true, message: `Device ${req.params.id} removed` });
+  } catch (error) {
+    console.error("Error removing device:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to remove device",
+      details: error.message,
+    });
+  }
+});
 
 // Switch control endpoint
-app.post("/switch", async (req, res) => {
+app.post(["/switch", "/devices/:id/switch"], async (req, res) => {
   try {
+    const deviceId = resolveDeviceId(req, res);
+    if (!deviceId) return;
+
     const { state } = req.body; // state should be true for on, false for off
 
     if (typeof state !== "boolean") {
@@ -94,14 +567,24 @@ app.post("/switch", async (req, res) => {
       });
     }
 
-    const result = await controlDeviceSwitch(deviceId, state);
+    const result = await withAudit(
+      {
+        action: "switch",
+        actor: actorFromRequest(req),
+        source: "api",
+        deviceId,
+        request: { state },
+      },
+      () => controlDeviceSwitch(deviceId, state),
+    );
 
     console.log("Tuya API response:", JSON.stringify(result, null, 2));
 
     if (result && result.success !== false) {
+      requestPoll(deviceId);
       res.json({
         success: true,
-        message: `Device switched ${state ? "on" : "off"} successfully`,
+        message: `Device ${deviceId} switched ${state ? "on" : "off"} successfully`,
         data: result,
       });
     } else {
@@ -122,9 +605,20 @@ app.post("/switch", async (req, res) => {
 });
 
 // Get current switch status endpoint
-app.get("/switch-status", async (req, res) => {
+app.get(["/switch-status", "/devices/:id/switch-status"], async (req, res) => {
   try {
-    const status = await fetchDeviceStatus(deviceId);
+    const deviceId = resolveDeviceId(req, res);
+    if (!deviceId) return;
+
+    // The device details carry the real last-update time; the switch state
+    // is still reported if they cannot be fetched
+    const [status, info] = await Promise.all([
+      fetchDeviceStatus(deviceId),
+      checkAvailability(deviceId).catch((error) => {
+        console.error(`Error fetching device info for ${deviceId}:`, error.message);
+        return null;
+      }),
+    ]);
 
     if (!status || !Array.isArray(status)) {
       return res.status(500).json({
@@ -146,9 +640,11 @@ app.get("/switch-status", async (req, res) => {
     res.json({
       success: true,
       data: {
+        deviceId,
         switch: switchStatus.value, // true for on, false for off
+        online: info ? info.online : null,
         timestamp: new Date().toISOString(),
-        lastUpdated: new Date().toISOString(),
+        lastUpdated: info?.updateTime ? info.updateTime.toISOString() : null,
       },
     });
   } catch (error) {
@@ -161,76 +657,151 @@ app.get("/switch-status", async (req, res) => {
   }
 });
 
-async function getTodayDataFromDB(timezone = "Asia/Dhaka") {
-  console.log("--- Running Optimized MongoDB Aggregation for Today's Data ---");
+// Device status specification: how each reported data point is scaled and its
+// unit. The typed telemetry fields are converted to TELEMETRY_UNITS.
+app.get("/devices/:id/specifications", async (req, res) => {
+  try {
+    const deviceId = resolveDeviceId(req, res);
+    if (!deviceId) return;
+
+    const specifications = await fetchDeviceSpecifications(deviceId);
+    res.json({
+      success: true,
+      data: { deviceId, ...specifications, telemetryUnits: TELEMETRY_UNITS },
+    });
+  } catch (error) {
+    console.error("Error fetching device specifications:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch device specifications from Tuya API",
+      details: error.message,
+    });
+  }
+});
+
+// Device function specification (supported DP codes and value ranges)
+app.get("/devices/:id/functions", async (req, res) => {
+  try {
+    const deviceId = resolveDeviceId(req, res);
+    if (!deviceId) return;
+
+    const functions = await fetchDeviceFunctions(deviceId);
+    res.json({ success: true, data: { deviceId, functions } });
+  } catch (error) {
+    console.error("Error fetching device functions:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch device functions from Tuya API",
+      details: error.message,
+    });
+  }
+});
+
+// Device event logs from the Tuya cloud, paginated with ?cursor=
+app.get("/devices/:id/logs", async (req, res) => {
+  try {
+    const deviceId = resolveDeviceId(req, res);
+    if (!deviceId) return;
+
+    const endTime = req.query.to ? new Date(req.query.to).getTime() : Date.now();
+    const startTime = req.query.from
+      ? new Date(req.query.from).getTime()
+      : endTime - 24 * 60 * 60 * 1000;
+
+    if (Number.isNaN(startTime) || Number.isNaN(endTime)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid from/to parameter. Must be an ISO date",
+      });
+    }
+
+    const types = req.query.type
+      ? String(req.query.type).split(",").map(Number)
+      : undefined;
+    const size = Math.min(parseInt(req.query.size, 10) || 100, 100);
+
+    const result = await fetchDeviceLogs(deviceId, {
+      startTime,
+      endTime,
+      types,
+      size,
+      startRowKey: req.query.cursor,
+    });
+
+    res.json({ success: true, data: { deviceId, ...result } });
+  } catch (error) {
+    console.error("Error fetching device logs:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch device logs from Tuya API",
+      details: error.message,
+    });
+  }
+});
+
+// Generic command endpoint, body: { commands: [{ code, value }, ...] }
+app.post("/devices/:id/commands", async (req, res) => {
+  try {
+    const deviceId = resolveDeviceId(req, res);
+    if (!deviceId) return;
+
+    const { commands } = req.body;
+    const errors = await validateDeviceCommands(deviceId, commands);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid commands",
+        details: errors,
+      });
+    }
+
+    const result = await withAudit(
+      {
+        action: "device.commands",
+        actor: actorFromRequest(req),
+        source: "api",
+        deviceId,
+        request: { commands },
+      },
+      () => sendDeviceCommands(deviceId, commands),
+    );
+
+    if (result && result.success !== false) {
+      res.json({
+        success: true,
+        message: `Sent ${commands.length} command(s) to device ${deviceId}`,
+        data: result,
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        error: "Failed to send device commands",
+        data: result,
+      });
+    }
+  } catch (error) {
+    console.error("Error sending device commands:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to send device commands",
+      details: error.message,
+    });
+  }
+});
+
+async function getTodayDataFromDB(deviceId, timezone = DEFAULT_TIMEZONE) {
+  console.log("--- Running Rollup Aggregation for Today's Data ---");
   console.log(`Using timezone: ${timezone}`);
 
   const todayStart = getTodayStartInTimezone(timezone);
   const todayEnd = getTodayEndInTimezone(timezone);
 
-  console.log(`Today start (${timezone}): ${todayStart.toISOString()}`);
-  console.log(`Today end (${timezone}): ${todayEnd.toISOString()}`);
   console.log(
     `Query range: ${todayStart.toISOString()} to ${todayEnd.toISOString()}`,
   );
 
-  const pipeline = [
-    {
-      $match: {
-        timestamp: { $gte: todayStart, $lte: todayEnd },
-      },
-    },
-    {
-      $unwind: "$status",
-    },
-    {
-      $group: {
-        _id: {
-          hour: {
-            $hour: {
-              date: "$timestamp",
-              timezone: "Asia/Dhaka",
-            },
-          },
-          code: "$status.code",
-        },
-        value: { $avg: "$status.value" },
-      },
-    },
-    {
-      $group: {
-        _id: "$_id.hour",
-        power: {
-          $avg: {
-            $cond: [
-              { $eq: ["$_id.code", "cur_power"] },
-              { $divide: ["$value", 10] },
-              null,
-            ],
-          },
-        },
-        current: {
-          $avg: {
-            $cond: [{ $eq: ["$_id.code", "cur_current"] }, "$value", null],
-          },
-        },
-        voltage: {
-          $avg: {
-            $cond: [
-              { $eq: ["$_id.code", "cur_voltage"] },
-              { $divide: ["$value", 10] },
-              null,
-            ],
-          },
-        },
-      },
-    },
-    {
-      $sort: { _id: 1 },
-    },
-  ];
-
-  const result = await collection.aggregate(pipeline).toArray();
+  const result = await getHourlyAverages(deviceId, todayStart, todayEnd, timezone);
 
   // Debug: Log the actual hours found
   const hoursFound = result.map((h) => h._id).sort((a, b) => a - b);
@@ -240,9 +811,9 @@ async function getTodayDataFromDB(timezone = "Asia/Dhaka") {
   const todayData = createEmptyTodayData();
   result.forEach((hourData) => {
     const hour = hourData._id;
-    if (hourData.power !== null) todayData[hour].power = hourData.power;
-    if (hourData.current !== null) todayData[hour].current = hourData.current;
-    if (hourData.voltage !== null) todayData[hour].voltage = hourData.voltage;
+    todayData[hour].power = hourData.power;
+    todayData[hour].current = hourData.current;
+    todayData[hour].voltage = hourData.voltage;
   });
 
   console.log(
@@ -251,88 +822,23 @@ async function getTodayDataFromDB(timezone = "Asia/Dhaka") {
   return todayData;
 }
 
-async function getWeekDataFromDB(timezone = "Asia/Dhaka") {
-  console.log("--- Running Optimized MongoDB Aggregation for Week Data ---");
+async function getWeekDataFromDB(deviceId, timezone = DEFAULT_TIMEZONE) {
+  console.log("--- Running Rollup Aggregation for Week Data ---");
   console.log(`Using timezone: ${timezone}`);
 
-  const sevenDaysAgo = new Date();
-  sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 6);
-  let localSevenDaysAgo;
-  if (timezone === "Asia/Dhaka") {
-    localSevenDaysAgo = new Date(sevenDaysAgo.getTime() + 6 * 60 * 60 * 1000);
-    localSevenDaysAgo.setUTCHours(0, 0, 0, 0);
-  } else {
-    localSevenDaysAgo = new Date(sevenDaysAgo);
-    localSevenDaysAgo.setHours(0, 0, 0, 0);
-  }
-
-  const pipeline = [
-    {
-      $match: {
-        timestamp: { $gte: localSevenDaysAgo },
-      },
-    },
-    {
-      $unwind: "$status",
-    },
-    {
-      $group: {
-        _id: {
-          date: {
-            $dateToString: {
-              format: "%Y-%m-%d",
-              date: "$timestamp",
-              timezone: timezone,
-            },
-          },
-          code: "$status.code",
-        },
-        value: { $avg: "$status.value" },
-      },
-    },
-    {
-      $group: {
-        _id: "$_id.date",
-        power: {
-          $avg: {
-            $cond: [
-              { $eq: ["$_id.code", "cur_power"] },
-              { $divide: ["$value", 10] },
-              null,
-            ],
-          },
-        },
-        current: {
-          $avg: {
-            $cond: [{ $eq: ["$_id.code", "cur_current"] }, "$value", null],
-          },
-        },
-        voltage: {
-          $avg: {
-            $cond: [
-              { $eq: ["$_id.code", "cur_voltage"] },
-              { $divide: ["$value", 10] },
-              null,
-            ],
-          },
-        },
-      },
-    },
-    {
-      $sort: { _id: 1 },
-    },
-  ];
+  // Local midnight six days ago, so the range covers the 7 local days of the chart
+  const localSevenDaysAgo = getDayStartInTimezone(timezone, 6);
 
-  const result = await collection.aggregate(pipeline).toArray();
+  const result = await getDailyAverages(deviceId, localSevenDaysAgo, new Date(), timezone);
 
   // Create the 7-day structure
   const week = createEmptyWeekData(timezone);
   result.forEach((dayData) => {
     const dayIndex = week.findIndex((d) => d.date === dayData._id);
     if (dayIndex !== -1) {
-      if (dayData.power !== null) week[dayIndex].power = dayData.power;
-      if (dayData.current !== null) week[dayIndex].current = dayData.current;
-      if (dayData.voltage !== null) week[dayIndex].voltage = dayData.voltage;
+      week[dayIndex].power = dayData.power;
+      week[dayIndex].current = dayData.current;
+      week[dayIndex].voltage = dayData.voltage;
     }
   });
 
@@ -342,86 +848,23 @@ async function getWeekDataFromDB(timezone = "Asia/Dhaka") {
   return week;
 }
 
-async function getMonthlyDataFromDB(timezone = "Asia/Dhaka") {
-  console.log("--- Running Optimized MongoDB Aggregation for Monthly Data ---");
+async function getMonthlyDataFromDB(deviceId, timezone = DEFAULT_TIMEZONE) {
+  console.log("--- Running Rollup Aggregation for Monthly Data ---");
   console.log(`Using timezone: ${timezone}`);
 
-  const thirtyDaysAgo = new Date();
-  thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-  let localThirtyDaysAgo;
-  if (timezone === "Asia/Dhaka") {
-    localThirtyDaysAgo = new Date(thirtyDaysAgo.getTime() + 6 * 60 * 60 * 1000);
-  } else {
-    localThirtyDaysAgo = new Date(thirtyDaysAgo);
-  }
+  // Local midnight 29 days ago, so the range covers the 30 local days of the chart
+  const localThirtyDaysAgo = getDayStartInTimezone(timezone, 29);
 
-  const pipeline = [
-    {
-      $match: {
-        timestamp: { $gte: localThirtyDaysAgo },
-      },
-    },
-    {
-      $unwind: "$status",
-    },
-    {
-      $group: {
-        _id: {
-          date: {
-            $dateToString: {
-              format: "%Y-%m-%d",
-              date: "$timestamp",
-              timezone: timezone,
-            },
-          },
-          code: "$status.code",
-        },
-        value: { $avg: "$status.value" },
-      },
-    },
-    {
-      $group: {
-        _id: "$_id.date",
-        power: {
-          $avg: {
-            $cond: [
-              { $eq: ["$_id.code", "cur_power"] },
-              { $divide: ["$value", 10] },
-              null,
-            ],
-          },
-        },
-        current: {
-          $avg: {
-            $cond: [{ $eq: ["$_id.code", "cur_current"] }, "$value", null],
-          },
-        },
-        voltage: {
-          $avg: {
-            $cond: [
-              { $eq: ["$_id.code", "cur_voltage"] },
-              { $divide: ["$value", 10] },
-              null,
-            ],
-          },
-        },
-      },
-    },
-    {
-      $sort: { _id: 1 },
-    },
-  ];
-
-  const result = await collection.aggregate(pipeline).toArray();
+  const result = await getDailyAverages(deviceId, localThirtyDaysAgo, new Date(), timezone);
 
   // Create the 30-day structure
   const month = createEmptyMonthData(timezone);
   result.forEach((dayData) => {
     const dayIndex = month.findIndex((d) => d.date === dayData._id);
     if (dayIndex !== -1) {
-      if (dayData.power !== null) month[dayIndex].power = dayData.power;
-      if (dayData.current !== null) month[dayIndex].current = dayData.current;
-      if (dayData.voltage !== null) month[dayIndex].voltage = dayData.voltage;
+      month[dayIndex].power = dayData.power;
+      month[dayIndex].current = dayData.current;
+      month[dayIndex].voltage = dayData.voltage;
     }
   });
 
@@ -432,24 +875,6 @@ async function getMonthlyDataFromDB(timezone = "Asia/Dhaka") {
 }
 
 // Simple helper functions
-function getValue(statusArray, code) {
-  if (!statusArray || !Array.isArray(statusArray)) return 0;
-  const item = statusArray.find((s) => s.code === code);
-  if (!item) return 0;
-  if (code === "cur_voltage") return item.value / 10;
-  if (code === "cur_power") return item.value / 10;
-  if (code === "cur_current") return item.value;
-  return item.value;
-}
-
-function getLocalDateString(date, timezone = "Asia/Dhaka") {
-  if (timezone === "Asia/Dhaka") {
-    const dhakaTime = new Date(date.getTime() + 6 * 60 * 60 * 1000);
-    return dhakaTime.toISOString().split("T")[0]; // YYYY-MM-DD format
-  }
-  return date.toLocaleDateString("en-CA");
-}
-
 function createEmptyTodayData() {
   const today = [];
   for (let hour = 0; hour < 24; hour++) {
@@ -458,7 +883,7 @@ function createEmptyTodayData() {
   return today;
 }
 
-function createEmptyWeekData(timezone = "Asia/Dhaka") {
+function createEmptyWeekData(timezone = DEFAULT_TIMEZONE) {
   const week = [];
   const today = new Date();
   console.log(
@@ -467,9 +892,7 @@ function createEmptyWeekData(timezone = "Asia/Dhaka") {
   );
 
   for (let i = 6; i >= 0; i--) {
-    const date = new Date(today);
-    date.setDate(date.getDate() - i);
-    const dateString = getLocalDateString(date, timezone);
+    const dateString = getLocalDateStringDaysAgo(i, timezone, today);
     console.log(`Week day ${i}: ${dateString}`);
     week.push({
       date: dateString,
@@ -481,7 +904,7 @@ function createEmptyWeekData(timezone = "Asia/Dhaka") {
   return week;
 }
 
-function createEmptyMonthData(timezone = "Asia/Dhaka") {
+function createEmptyMonthData(timezone = DEFAULT_TIMEZONE) {
   const month = [];
   const today = new Date();
   console.log(
@@ -490,9 +913,7 @@ function createEmptyMonthData(timezone = "Asia/Dhaka") {
   );
 
   for (let i = 29; i >= 0; i--) {
-    const date = new Date(today);
-    date.setDate(date.getDate() - i);
-    const dateString = getLocalDateString(date, timezone);
+    const dateString = getLocalDateStringDaysAgo(i, timezone, today);
     if (i % 5 === 0) console.log(`Month day ${i}: ${dateString}`);
     month.push({
       date: dateString,
@@ -504,23 +925,28 @@ function createEmptyMonthData(timezone = "Asia/Dhaka") {
   return month;
 }
 
-app.get("/main-chart/data", async (req, res) => {
+app.get(["/main-chart/data", "/devices/:id/chart"], async (req, res) => {
   try {
-    console.log("=== OPTIMIZED CHART DATA REQUEST ===");
+    const deviceId = resolveDeviceId(req, res);
+    if (!deviceId) return;
+
+    console.log(`=== OPTIMIZED CHART DATA REQUEST (${deviceId}) ===`);
 
     const timezone = getUserTimezone(req);
     console.log(`Request timezone: ${timezone}`);
 
     // Run all aggregations in parallel for maximum efficiency
     const [todayData, weekData, monthData] = await Promise.all([
-      getTodayDataFromDB(timezone),
-      getWeekDataFromDB(timezone),
-      getMonthlyDataFromDB(timezone),
+      getTodayDataFromDB(deviceId, timezone),
+      getWeekDataFromDB(deviceId, timezone),
+      getMonthlyDataFromDB(deviceId, timezone),
     ]);
 
     res.json({
       success: true,
       data: {
+        deviceId,
+        units: TELEMETRY_UNITS,
         today: todayData,
         week: weekData,
         month: monthData,
@@ -536,148 +962,59 @@ app.get("/main-chart/data", async (req, res) => {
   }
 });
 
-app.get("/today-consumption", async (req, res) => {
+app.get(["/today-consumption", "/devices/:id/today-consumption"], async (req, res) => {
   try {
-    console.log("=== TODAY'S CONSUMPTION REQUEST (FILTERED FOR AC ON ONLY) ===");
+    const deviceId = resolveDeviceId(req, res);
+    if (!deviceId) return;
+
+    console.log(`=== TODAY'S CONSUMPTION REQUEST (${deviceId}, FILTERED FOR AC ON ONLY) ===`);
 
     const timezone = getUserTimezone(req);
     const todayStart = getTodayStartInTimezone(timezone);
     const now = new Date();
 
-    const pipeline = [
-      // 1. Only include documents for today
-      {
-        $match: {
-          timestamp: { $gte: todayStart, $lte: now }
-        }
-      },
-      // 2. Unwind the status array so we can extract cur_power and switch_1
-      {
-        $unwind: "$status"
-      },
-      // 3. Filter only cur_power and switch_1 entries
-      {
-        $match: {
-          "status.code": { $in: ["cur_power", "switch_1"] }
-        }
-      },
-      // 4. Group back by _id and timestamp to merge cur_power and switch_1
-      {
-        $group: {
-          _id: "$_id",
-          timestamp: { $first: "$timestamp" },
-          values: {
-            $push: {
-              k: "$status.code",
-              v: "$status.value"
-            }
-          }
-        }
-      },
-      // 5. Convert array to object { cur_power: ..., switch_1: ... }
-      {
-        $addFields: {
-          statusObj: { $arrayToObject: "$values" }
-        }
-      },
-      // 6. Filter where switch_1 is true (AC is ON)
-      {
-        $match: {
-          "statusObj.switch_1": true,
-          "statusObj.cur_power": { $ne: null }
-        }
-      },
-      // 7. Sort by timestamp
-      {
-        $sort: {
-          timestamp: 1
-        }
-      },
-      // 8. Use $setWindowFields to get previous timestamp
-      {
-        $setWindowFields: {
-          sortBy: { timestamp: 1 },
-          output: {
-            previousTimestamp: {
-              $shift: {
-                output: "$timestamp",
-                by: -1,
-                default: null
-              }
-            }
-          }
-        }
-      },
-      // 9. Calculate duration and kWh for each interval
-      {
-        $addFields: {
-          powerKw: {
-            $divide: ["$statusObj.cur_power", 10000] // value/10 = Watts, then /1000 = kW
-          },
-          durationHours: {
-            $cond: [
-              { $and: ["$previousTimestamp", { $ne: ["$previousTimestamp", null] }] },
-              {
-                $divide: [
-                  { $subtract: ["$timestamp", "$previousTimestamp"] },
-                  3600000 // ms to hours
-                ]
-              },
-              0
-            ]
-          }
-        }
-      },
-      {
-        $addFields: {
-          intervalKwh: { $multiply: ["$powerKw", "$durationHours"] }
-        }
-      },
-      // 10. Sum all intervalKwh values
-      {
-        $group: {
-          _id: null,
-          totalKwh: { $sum: "$intervalKwh" },
-          dataPoints: { $sum: 1 }
-        }
-      }
-    ];
-
-    const result = await collection.aggregate(pipeline).toArray();
+    const consumption = await getConsumption(deviceId, todayStart, now, timezone);
 
-    if (result.length === 0) {
+    if (consumption.dataPoints === 0) {
       return res.json({
         success: true,
         data: {
+          deviceId,
           kwh: 0,
+          unit: TELEMETRY_UNITS.energy,
           cost: 0,
           dataPoints: 0,
-          message: "No AC ON data found for today"
+          message: "No consumption data found for today"
         }
       });
     }
 
-    const consumption = result[0];
     const totalKwh = consumption.totalKwh;
-    const cost = totalKwh * 10; // 10 Taka per unit
+    const costBreakdown = await getCostBreakdown(deviceId, consumption, todayStart, now);
+    const cost = costBreakdown.total;
 
     console.log(`Calculated kWh: ${totalKwh.toFixed(4)}`);
-    console.log(`Calculated cost: ${cost.toFixed(2)} Taka`);
+    console.log(`Calculated cost: ${cost.toFixed(2)} ${costBreakdown.currency}`);
     console.log(`Based on ${consumption.dataPoints} ON data points.`);
 
     res.json({
       success: true,
       data: {
+        deviceId,
         kwh: parseFloat(totalKwh.toFixed(4)),
-        cost: parseFloat(cost.toFixed(2)),
+        unit: TELEMETRY_UNITS.energy,
+        cost,
+        currency: costBreakdown.currency,
+        costBreakdown,
         dataPoints: consumption.dataPoints,
         timeRange: {
           start: todayStart.toISOString(),
           end: now.toISOString(),
           timezone: timezone
         },
-        rate: 10,
-        calculationMethod: "Only AC ON Intervals (Riemann Sum)"
+        rate: totalKwh > 0 ? parseFloat((cost / totalKwh).toFixed(2)) : 0, // effective rate per kWh
+        method: consumption.method,
+        calculationMethod: describeCalculationMethod(consumption.method)
       }
     });
 
@@ -691,50 +1028,6 @@ app.get("/today-consumption", async (req, res) => {
   }
 });
 
-
-
-function getUserTimezone(req) {
-  const timezone =
-    req.query.timezone || req.headers["x-timezone"] || "Asia/Dhaka";
-  return timezone;
-}
-
-function getTodayStartInTimezone(timezone) {
-  const now = new Date();
-  // For Asia/Dhaka (GMT+6), we need to find the UTC time that corresponds to 00:00:00 Dhaka time
-  if (timezone === "Asia/Dhaka") {
-    // Get current date in Dhaka timezone
-    const dhakaDate = new Date(now.getTime() + 6 * 60 * 60 * 1000);
-    // Set to start of day in Dhaka timezone (00:00:00)
-    dhakaDate.setUTCHours(0, 0, 0, 0);
-    // Convert back to UTC (subtract 6 hours)
-    const utcStart = new Date(dhakaDate.getTime() - 6 * 60 * 60 * 1000);
-    return utcStart;
-  }
-  // Default UTC behavior
-  const localDate = new Date(now);
-  localDate.setHours(0, 0, 0, 0);
-  return localDate;
-}
-
-function getTodayEndInTimezone(timezone) {
-  const now = new Date();
-  // For Asia/Dhaka (GMT+6), we need to find the UTC time that corresponds to 23:59:59 Dhaka time
-  if (timezone === "Asia/Dhaka") {
-    // Get current date in Dhaka timezone
-    const dhakaDate = new Date(now.getTime() + 6 * 60 * 60 * 1000);
-    // Set to end of day in Dhaka timezone (23:59:59)
-    dhakaDate.setUTCHours(23, 59, 59, 999);
-    // Convert back to UTC (subtract 6 hours)
-    const utcEnd = new Date(dhakaDate.getTime() - 6 * 60 * 60 * 1000);
-    return utcEnd;
-  }
-  // Default UTC behavior
-  const localDate = new Date(now);
-  localDate.setHours(23, 59, 59, 999);
-  return localDate;
-}
-
 server.listen(PORT, () => {
   console.log(`🚀 Server running (HTTP + WebSocket) on port ${PORT}`);
 });
\ No newline at end of file
@@ -0,0 +1,127 @@
+import client from "prom-client";
+
+// Prometheus metrics, served by health.js at GET /metrics. Modules update the
+// metrics below directly; process metrics (CPU, memory, event loop lag) come
+// from prom-client's defaults.
+
+export const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry });
+
+export const pollsTotal = new client.Counter({
+  name: "tuya_polls_total",
+  help: "Device status polls by outcome",
+  labelNames: ["device", "outcome"],
+  registers: [registry],
+});
+
+export const tuyaRequestDuration = new client.Histogram({
+  name: "tuya_request_duration_seconds",
+  help: "Tuya OpenAPI request latency, retries included",
+  labelNames: ["method", "endpoint", "outcome"],
+  buckets: [0.1, 0.25, 0.5, 1, 2, 5, 10, 30],
+  registers: [registry],
+});
+
+export const tokenRefreshesTotal = new client.Counter({
+  name: "tuya_token_refreshes_total",
+  help: "Tuya access tokens obtained, by refresh token or new grant",
+  labelNames: ["type"],
+  registers: [registry],
+});
+
+export const websocketClients = new client.Gauge({
+  name: "websocket_clients",
+  help: "Connected WebSocket clients",
+  registers: [registry],
+});
+
+export const websocketMessagesTotal = new client.Counter({
+  name: "websocket_messages_total",
+  help: "Messages published to WebSocket clients, by channel",
+  labelNames: ["channel"],
+  registers: [registry],
+});
+
+export const mongoInsertDuration = new client.Histogram({
+  name: "mongo_insert_duration_seconds",
+  help: "MongoDB insert latency, failed inserts included",
+  labelNames: ["collection", "status"],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5],
+  registers: [registry],
+});
+
+export const bufferedWrites = new client.Gauge({
+  name: "telemetry_buffered_writes",
+  help: "Telemetry documents in the offline write buffer, waiting for MongoDB",
+  registers: [registry],
+});
+
+export const pollingCircuitOpen = new client.Gauge({
+  name: "tuya_polling_circuit_open",
+  help: "1 while the polling circuit breaker is open or half-open",
+  registers: [registry],
+});
+
+// Last stored telemetry values, one series per device
+const telemetryGauges = {
+  powerW: new client.Gauge({
+    name: "telemetry_power_watts",
+    help: "Last reported power",
+    labelNames: ["device"],
+    registers: [registry],
+  }),
+  voltageV: new client.Gauge({
+    name: "telemetry_voltage_volts",
+    help: "Last reported voltage",
+    labelNames: ["device"],
+    registers: [registry],
+  }),
+  currentMa: new client.Gauge({
+    name: "telemetry_current_milliamperes",
+    help: "Last reported current",
+    labelNames: ["device"],
+    registers: [registry],
+  }),
+  energyKwh: new client.Gauge({
+    name: "telemetry_energy_kwh",
+    help: "Last reported energy counter",
+    labelNames: ["device"],
+    registers: [registry],
+  }),
+};
+const switchOnGauge = new client.Gauge({
+  name: "telemetry_switch_on",
+  help: "Last reported switch state (1 on, 0 off)",
+  labelNames: ["device"],
+  registers: [registry],
+});
+const telemetryTimestampGauge = new client.Gauge({
+  name: "telemetry_last_timestamp_seconds",
+  help: "Unix time of the last stored reading",
+  labelNames: ["device"],
+  registers: [registry],
+});
+
+export function recordTelemetryMetrics(doc) {
+  const device = doc.deviceId;
+  Object.entries(telemetryGauges).forEach(([field, gauge]) => {
+    if (doc[field] !== null && doc[field] !== undefined) gauge.set({ device }, doc[field]);
+  });
+  if (doc.switchOn !== null) switchOnGauge.set({ device }, doc.switchOn ? 1 : 0);
+  telemetryTimestampGauge.set({ device }, doc.timestamp.getTime() / 1000);
+}
+
+const POLL_OUTCOMES = ["success", "failure"];
+
+// Drops every series of a removed device
+export function forgetDeviceMetrics(device) {
+  [...Object.values(telemetryGauges), switchOnGauge, telemetryTimestampGauge].forEach(
+    (gauge) => gauge.remove({ device }),
+  );
+  POLL_OUTCOMES.forEach((outcome) => pollsTotal.remove({ device, outcome }));
+}
+
+// Tuya paths with device ids collapsed, to keep label cardinality bounded
+export function endpointLabel(path) {
+  return path.replace(/\/devices\/[^/]+/, "/devices/:id").replace(/\/token\/.+$/, "/token/:refresh");
+}
@@ -0,0 +1,142 @@
+import { MongoClient } from "mongodb";
+import dotenv from "dotenv";
+import { initDeviceRegistry, getDefaultDeviceId } from "./devices.js";
+import { getStatusSpecs } from "./tuya.js";
+import {
+  TELEMETRY_SCHEMA_VERSION,
+  initTelemetry,
+  normalizeStatus,
+  findExistingTelemetryIds,
+} from "./telemetry.js";
+
+dotenv.config();
+
+// Converts the old `device_data` documents ({ deviceId, timestamp,
+// status: [{ code, value }] }) into the `telemetry` time-series collection.
+//
+//   npm run migrate:telemetry [-- --batch-size=1000] [-- --restart]
+//
+// Documents are read in _id order and converted in batches. The last migrated
+// _id is checkpointed in `migrations` after every batch, so an interrupted run
+// continues where it stopped. Converted documents keep their _id, and a batch
+// that was written but not checkpointed is detected and not inserted twice.
+// Documents without deviceId (single-device era) go to the default device.
+// Values are scaled with each device's status specification.
+// `device_data` itself is left untouched.
+
+const MIGRATION_ID = `device_data-to-telemetry-v${TELEMETRY_SCHEMA_VERSION}`;
+
+function parseArgs(argv) {
+  const args = { batchSize: 1000, restart: false };
+  argv.forEach((arg) => {
+    if (arg.startsWith("--batch-size=")) {
+      args.batchSize = parseInt(arg.split("=")[1], 10);
+    } else if (arg === "--restart") {
+      args.restart = true;
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  });
+  if (!Number.isInteger(args.batchSize) || args.batchSize < 1 || args.batchSize > 10000) {
+    throw new Error("--batch-size must be between 1 and 10000");
+  }
+  return args;
+}
+
+async function migrate() {
+  const { batchSize, restart } = parseArgs(process.argv.slice(2));
+
+  const client = new MongoClient(process.env.MONGO_URI);
+  await client.connect();
+  console.log("Connected to MongoDB Atlas");
+
+  try {
+    const db = client.db("tuya");
+    await initDeviceRegistry(db);
+    const telemetry = await initTelemetry(db);
+    const source = db.collection("device_data");
+    const migrations = db.collection("migrations");
+
+    const defaultDeviceId = getDefaultDeviceId();
+    if (!defaultDeviceId) {
+      throw new Error("No default device configured (TUYA_DEVICE_ID or TUYA_DEVICE_IDS)");
+    }
+
+    if (restart) await migrations.deleteOne({ _id: MIGRATION_ID });
+    let progress = await migrations.findOne({ _id: MIGRATION_ID });
+    if (progress?.completedAt) {
+      console.log(
+        `✅ ${MIGRATION_ID} completed at ${progress.completedAt.toISOString()}, checking for newer documents`,
+      );
+    }
+    if (!progress) {
+      progress = { _id: MIGRATION_ID, lastId: null, migrated: 0, skipped: 0, startedAt: new Date() };
+      await migrations.insertOne(progress);
+    }
+
+    const total = await source.estimatedDocumentCount();
+    console.log(
+      `🚚 Migrating device_data to telemetry (${total} documents, ${progress.migrated} already migrated)`,
+    );
+
+    while (true) {
+      const batch = await source
+        .find(progress.lastId ? { _id: { $gt: progress.lastId } } : {})
+        .sort({ _id: 1 })
+        .limit(batchSize)
+        .toArray();
+      if (batch.length === 0) break;
+
+      const docs = [];
+      let skipped = 0;
+      for (const doc of batch) {
+        if (!(doc.timestamp instanceof Date) || !Array.isArray(doc.status)) {
+          skipped++;
+          continue;
+        }
+        const deviceId = doc.deviceId || defaultDeviceId;
+        // Cached by tuya.js; falls back to the usual plug scaling when offline
+        const specs = await getStatusSpecs(deviceId);
+        docs.push({
+          _id: doc._id,
+          ...normalizeStatus(deviceId, doc.timestamp, doc.status, specs),
+        });
+      }
+
+      const alreadyMigrated = await findExistingTelemetryIds(docs);
+      const toInsert = docs.filter((doc) => !alreadyMigrated.has(doc._id.toString()));
+      if (toInsert.length > 0) await telemetry.insertMany(toInsert, { ordered: false });
+
+      progress.lastId = batch[batch.length - 1]._id;
+      progress.migrated += docs.length;
+      progress.skipped += skipped;
+      await migrations.updateOne(
+        { _id: MIGRATION_ID },
+        {
+          $set: {
+            lastId: progress.lastId,
+            migrated: progress.migrated,
+            skipped: progress.skipped,
+            updatedAt: new Date(),
+          },
+        },
+      );
+      console.log(
+        `  ${progress.migrated + progress.skipped}/${total} (${progress.skipped} skipped)`,
+      );
+    }
+
+    await migrations.updateOne({ _id: MIGRATION_ID }, { $set: { completedAt: new Date() } });
+    console.log(
+      `✅ Migration finished: ${progress.migrated} migrated, ${progress.skipped} skipped. ` +
+        "Rebuild rollups of older data with POST /rollups/backfill if needed.",
+    );
+  } finally {
+    await client.close();
+  }
+}
+
+migrate().catch((error) => {
+  console.error("❌ Migration failed:", error);
+  process.exit(1);
+});
@@ -0,0 +1,142 @@
+import fs from "fs";
+import path from "path";
+import readline from "readline";
+import dotenv from "dotenv";
+import {
+  BSON,
+  MongoNetworkError,
+  MongoNotConnectedError,
+  MongoServerSelectionError,
+  MongoTopologyClosedError,
+} from "mongodb";
+import { bufferedWrites } from "./metrics.js";
+
+dotenv.config();
+
+// On-disk append log for writes that could not reach MongoDB. Documents are
+// stored one per line as canonical Extended JSON, so dates and ObjectIds
+// survive the round trip. Every append is fsynced.
+//
+// Draining first renames the log to `<path>.replaying`: new appends go to a
+// fresh file while the renamed one is replayed in order, and it is only
+// deleted once every batch was handled. An interrupted replay restarts from
+// the top of the renamed file, so batch handlers must be idempotent.
+
+const BUFFER_PATH = path.resolve(
+  process.env.WRITE_BUFFER_PATH || "data/telemetry-buffer.ndjson",
+);
+const REPLAY_PATH = `${BUFFER_PATH}.replaying`;
+
+let buffered = 0;
+let draining = false;
+let lastDrain = null;
+// Appends and the rename are serialised, so no append lands mid-rotation
+let fileLock = Promise.resolve();
+
+function withFileLock(task) {
+  const run = fileLock.then(task);
+  fileLock = run.catch(() => {});
+  return run;
+}
+
+function setBuffered(count) {
+  buffered = count;
+  bufferedWrites.set(count);
+}
+
+// Errors meaning MongoDB is unreachable, as opposed to a rejected document
+export function isConnectionError(error) {
+  return (
+    error instanceof MongoNetworkError ||
+    error instanceof MongoServerSelectionError ||
+    error instanceof MongoNotConnectedError ||
+    error instanceof MongoTopologyClosedError
+  );
+}
+
+async function countLines(file) {
+  if (!fs.existsSync(file)) return 0;
+  let count = 0;
+  const lines = readline.createInterface({ input: fs.createReadStream(file) });
+  for await (const line of lines) if (line.trim()) count++;
+  return count;
+}
+
+// Counts what a previous run left behind
+export async function initOfflineBuffer() {
+  await fs.promises.mkdir(path.dirname(BUFFER_PATH), { recursive: true });
+  setBuffered((await countLines(BUFFER_PATH)) + (await countLines(REPLAY_PATH)));
+  if (buffered > 0) {
+    console.warn(`💾 ${buffered} buffered write(s) waiting for replay in ${BUFFER_PATH}`);
+  }
+}
+
+export function appendToBuffer(doc) {
+  return withFileLock(async () => {
+    const handle = await fs.promises.open(BUFFER_PATH, "a");
+    try {
+      await handle.appendFile(`${BSON.EJSON.stringify(doc, { relaxed: false })}\n`);
+      await handle.datasync();
+    } finally {
+      await handle.close();
+    }
+    setBuffered(buffered + 1);
+  });
+}
+
+export function hasBufferedWrites() {
+  return buffered > 0;
+}
+
+export function getBufferStatus() {
+  return { path: BUFFER_PATH, buffered, draining, lastDrain };
+}
+
+// Replays the buffered documents in the order they were written, calling
+// `handleBatch(docs)` for up to `batchSize` at a time. Stops at the first
+// failing batch; everything from the top of the file is retried next time.
+export async function drainBuffer(handleBatch, batchSize = 500) {
+  if (draining || buffered === 0) return { replayed: 0 };
+  draining = true;
+  let replayed = 0;
+  try {
+    await withFileLock(async () => {
+      if (!fs.existsSync(REPLAY_PATH) && fs.existsSync(BUFFER_PATH)) {
+        await fs.promises.rename(BUFFER_PATH, REPLAY_PATH);
+      }
+    });
+    if (!fs.existsSync(REPLAY_PATH)) return { replayed: 0 };
+
+    const lines = readline.createInterface({ input: fs.createReadStream(REPLAY_PATH) });
+    let batch = [];
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        batch.push(BSON.EJSON.parse(line, { relaxed: false }));
+      } catch (error) {
+        // A crash mid-append can leave a truncated last line
+        console.error("Skipping unreadable buffered write:", error.message);
+        continue;
+      }
+      if (batch.length >= batchSize) {
+        await handleBatch(batch);
+        replayed += batch.length;
+        batch = [];
+      }
+    }
+    if (batch.length > 0) {
+      await handleBatch(batch);
+      replayed += batch.length;
+    }
+
+    await fs.promises.unlink(REPLAY_PATH);
+    setBuffered(await countLines(BUFFER_PATH));
+    lastDrain = { at: new Date(), replayed, error: null };
+    return { replayed };
+  } catch (error) {
+    lastDrain = { at: new Date(), replayed, error: error.message };
+    throw error;
+  } finally {
+    draining = false;
+  }
+}
@@ -0,0 +1,233 @@
+import express from "express";
+import dotenv from "dotenv";
+import { listDevices } from "./devices.js";
+import { isPushConnected } from "./pulsar.js";
+import { pollingCircuitOpen } from "./metrics.js";
+
+dotenv.config();
+
+// Adaptive status polling. Each device has its own `nextPollAt` and at most
+// one poll in flight, so slow Tuya responses never pile up. After a
+// successful poll the next one is due in:
+//   POLL_ACTIVE_SECONDS (5)   switch on, or power moved by POLL_POWER_DELTA_W
+//   POLL_IDLE_SECONDS (30)    otherwise
+//   TUYA_RECONCILE_SECONDS    while push ingestion is connected (pulsar.js)
+// Keep the idle and reconcile intervals below ENERGY_MAX_GAP_SECONDS so quiet
+// periods still count as energy. Failed polls back off exponentially up to
+// POLL_MAX_BACKOFF_SECONDS.
+//
+// Circuit breaker: after POLL_BREAKER_FAILURES consecutive failed polls (on
+// any device, i.e. the Tuya API is down) polling stops for a cooldown that
+// doubles on every trip (up to 15 minutes). Then a single probe poll runs
+// ("half-open"); it closes the circuit on success and reopens it on failure.
+// Probes rotate over the devices, so one broken device cannot hold the circuit
+// open while the API works.
+
+const seconds = (name, fallback) => (Number(process.env[name]) || fallback) * 1000;
+
+const ACTIVE_INTERVAL = seconds("POLL_ACTIVE_SECONDS", 5);
+const IDLE_INTERVAL = seconds("POLL_IDLE_SECONDS", 30);
+const RECONCILE_INTERVAL = seconds("TUYA_RECONCILE_SECONDS", 30);
+const MAX_BACKOFF = seconds("POLL_MAX_BACKOFF_SECONDS", 300);
+const POWER_DELTA_W = Number(process.env.POLL_POWER_DELTA_W) || 5;
+const BREAKER_FAILURES = Number(process.env.POLL_BREAKER_FAILURES) || 10;
+const BREAKER_BASE_COOLDOWN = 60 * 1000;
+const BREAKER_MAX_COOLDOWN = 15 * 60 * 1000;
+const TICK_INTERVAL = 1000;
+
+// deviceId -> { nextPollAt, inFlight, mode, intervalMs, consecutiveFailures,
+//               failingSince, lastPollAt, lastSuccessAt, lastError, lastPowerW }
+const devices = new Map();
+const circuit = {
+  state: "closed", // closed | open | half-open
+  consecutiveFailures: 0,
+  trips: 0,
+  openedAt: null,
+  probeAt: null,
+};
+
+let pollerTimer = null;
+let probeCount = 0;
+let hooks = {};
+
+function deviceState(deviceId) {
+  if (!devices.has(deviceId)) {
+    devices.set(deviceId, {
+      nextPollAt: 0,
+      inFlight: false,
+      mode: "active",
+      intervalMs: ACTIVE_INTERVAL,
+      consecutiveFailures: 0,
+      failingSince: null,
+      lastPollAt: null,
+      lastSuccessAt: null,
+      lastError: null,
+      lastPowerW: null,
+    });
+  }
+  return devices.get(deviceId);
+}
+
+// Exponential backoff with equal jitter, so retries never come back instantly
+function backoffDelay(failures) {
+  const delay = Math.min(MAX_BACKOFF, ACTIVE_INTERVAL * 2 ** (failures - 1));
+  return Math.floor(delay / 2 + Math.random() * (delay / 2));
+}
+
+function setCircuit(state, details = {}) {
+  const previous = circuit.state;
+  circuit.state = state;
+  pollingCircuitOpen.set(state === "closed" ? 0 : 1);
+  if (previous !== state) {
+    console.warn(`🔌 Polling circuit ${previous} -> ${state}`);
+    hooks.onCircuitChange?.({ state, previous, ...details });
+  }
+}
+
+function recordSuccess(deviceId, state, doc) {
+  const powerChanged =
+    doc.powerW !== null &&
+    state.lastPowerW !== null &&
+    Math.abs(doc.powerW - state.lastPowerW) >= POWER_DELTA_W;
+
+  if (isPushConnected()) {
+    state.mode = "push";
+    state.intervalMs = RECONCILE_INTERVAL;
+  } else if (doc.switchOn === true || powerChanged) {
+    state.mode = "active";
+    state.intervalMs = ACTIVE_INTERVAL;
+  } else {
+    state.mode = "idle";
+    state.intervalMs = IDLE_INTERVAL;
+  }
+
+  const recovered = state.consecutiveFailures > 0;
+  state.lastPowerW = doc.powerW ?? state.lastPowerW;
+  state.lastSuccessAt = new Date();
+  state.lastError = null;
+  state.consecutiveFailures = 0;
+  state.failingSince = null;
+  state.nextPollAt = Date.now() + state.intervalMs;
+
+  circuit.consecutiveFailures = 0;
+  if (circuit.state !== "closed") {
+    circuit.trips = 0;
+    circuit.openedAt = null;
+    circuit.probeAt = null;
+    // Everything was on hold: poll all devices again right away
+    devices.forEach((other) => {
+      other.nextPollAt = Math.min(other.nextPollAt, Date.now());
+    });
+    setCircuit("closed");
+  }
+  hooks.onSuccess?.(deviceId, { recovered });
+}
+
+function recordFailure(deviceId, state, error) {
+  state.consecutiveFailures++;
+  state.failingSince = state.failingSince || new Date();
+  state.lastError = error.message;
+  state.mode = "backoff";
+  state.intervalMs = backoffDelay(state.consecutiveFailures);
+  state.nextPollAt = Date.now() + state.intervalMs;
+
+  circuit.consecutiveFailures++;
+  if (
+    circuit.state === "half-open" ||
+    (circuit.state === "closed" && circuit.consecutiveFailures >= BREAKER_FAILURES)
+  ) {
+    const cooldown = Math.min(BREAKER_MAX_COOLDOWN, BREAKER_BASE_COOLDOWN * 2 ** circuit.trips);
+    circuit.trips++;
+    circuit.openedAt = circuit.openedAt || new Date();
+    circuit.probeAt = new Date(Date.now() + cooldown);
+    setCircuit("open", { failures: circuit.consecutiveFailures, lastError: error.message });
+  }
+  hooks.onFailure?.(deviceId, {
+    failures: state.consecutiveFailures,
+    failingSince: state.failingSince,
+    error,
+  });
+}
+
+async function pollDevice(deviceId, state) {
+  state.inFlight = true;
+  state.lastPollAt = new Date();
+  try {
+    const doc = await hooks.poll(deviceId);
+    recordSuccess(deviceId, state, doc || {});
+  } catch (error) {
+    recordFailure(deviceId, state, error);
+  } finally {
+    state.inFlight = false;
+  }
+}
+
+function tick() {
+  const now = Date.now();
+  const registered = new Set(listDevices().map((d) => d.deviceId));
+  devices.forEach((_, deviceId) => {
+    if (!registered.has(deviceId)) devices.delete(deviceId);
+  });
+
+  if (circuit.state === "open") {
+    if (now < circuit.probeAt.getTime()) return;
+    setCircuit("half-open");
+  }
+  // Half-open lets a single probe through, whatever its device's backoff
+  if (circuit.state === "half-open") {
+    if ([...devices.values()].some((state) => state.inFlight)) return;
+    const candidates = [...registered];
+    if (candidates.length === 0) return;
+    const probe = candidates[probeCount++ % candidates.length];
+    pollDevice(probe, deviceState(probe));
+    return;
+  }
+
+  for (const deviceId of registered) {
+    const state = deviceState(deviceId);
+    if (state.inFlight || now < state.nextPollAt) continue;
+    pollDevice(deviceId, state);
+  }
+}
+
+// `poll(deviceId)` fetches and stores a status, resolving with the telemetry
+// document or throwing. Optional hooks: onSuccess(deviceId, { recovered }),
+// onFailure(deviceId, { failures, failingSince, error }) and
+// onCircuitChange({ state, previous, ... }).
+export function startPolling(options) {
+  if (pollerTimer) return;
+  hooks = options;
+  pollerTimer = setInterval(tick, TICK_INTERVAL);
+  tick();
+  console.log("🔁 Adaptive polling started");
+}
+
+// Polls a device on the next tick, e.g. after switching it
+export function requestPoll(deviceId) {
+  const state = devices.get(deviceId);
+  if (state) state.nextPollAt = 0;
+}
+
+export function getPollingStatus() {
+  return {
+    circuit: { ...circuit },
+    push: isPushConnected(),
+    intervals: {
+      activeMs: ACTIVE_INTERVAL,
+      idleMs: IDLE_INTERVAL,
+      reconcileMs: RECONCILE_INTERVAL,
+      maxBackoffMs: MAX_BACKOFF,
+    },
+    devices: [...devices].map(([deviceId, state]) => ({
+      deviceId,
+      ...state,
+      nextPollAt: state.nextPollAt ? new Date(state.nextPollAt) : null,
+    })),
+  };
+}
+
+export const pollerRouter = express.Router();
+
+pollerRouter.get("/polling", (req, res) => {
+  res.json({ success: true, data: getPollingStatus() });
+});
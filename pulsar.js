@@ -0,0 +1,205 @@
+import crypto from "crypto";
+import dotenv from "dotenv";
+import WebSocket from "ws";
+
+dotenv.config();
+
+// Push ingestion from Tuya's message queue (Pulsar over WebSocket), enabled
+// with TUYA_PUSH_ENABLED=true. Status reports (protocol 4) carry only the data
+// points that changed:
+//   { devId, productKey, dataId, status: [{ code, value, t }] }
+// and device events (protocol 20) e.g. { devId, bizCode: "online", bizData }.
+// Payloads are AES encrypted with the middle 16 characters of the client
+// secret: AES-128-GCM (iv | ciphertext | tag) when the message property
+// `em` is "aes_gcm", AES-128-ECB otherwise. Every message is acknowledged
+// once handled; a message whose handler fails is left unacknowledged so Pulsar
+// redelivers it. TUYA_MQ_URL overrides the regional endpoint, e.g. to point at
+// a local stand-in server.
+
+const {
+  TUYA_CLIENT_ID,
+  TUYA_CLIENT_SECRET,
+  TUYA_API_REGION,
+  TUYA_MQ_URL,
+  TUYA_MQ_ENV = "event",
+} = process.env;
+
+export const PUSH_ENABLED = process.env.TUYA_PUSH_ENABLED === "true";
+
+export const PROTOCOL_STATUS = 4;
+export const PROTOCOL_EVENT = 20;
+
+const PING_INTERVAL = 30000;
+const RECONNECT_BASE_DELAY = 1000;
+const RECONNECT_MAX_DELAY = 60000;
+// Device times outside these bounds are not trusted (clock skew, garbage)
+const MAX_CLOCK_SKEW = 5 * 60 * 1000;
+const MAX_MESSAGE_AGE = 24 * 60 * 60 * 1000;
+
+let socket = null;
+let connected = false;
+let reconnectAttempt = 0;
+const stats = {
+  messages: 0,
+  failures: 0,
+  reconnects: 0,
+  lastMessageAt: null,
+  connectedSince: null,
+};
+
+function pulsarUrl() {
+  const base = TUYA_MQ_URL || `wss://mqe.${TUYA_API_REGION}.com:8285/`;
+  const topic = `ws/v2/consumer/persistent/${TUYA_CLIENT_ID}/out/${TUYA_MQ_ENV}/${TUYA_CLIENT_ID}-sub`;
+  return `${base.replace(/\/$/, "")}/${topic}?ackTimeoutMillis=3000&subscriptionType=Failover`;
+}
+
+// Password of the Pulsar handshake: md5(accessId + md5(accessKey)) [8, 24)
+export function pulsarPassword(accessId, accessKey) {
+  const md5 = (value) => crypto.createHash("md5").update(value).digest("hex");
+  return md5(accessId + md5(accessKey)).substring(8, 24);
+}
+
+export function decryptPayload(data, accessKey, mode) {
+  const key = Buffer.from(accessKey.substring(8, 24), "utf8");
+  const encrypted = Buffer.from(data, "base64");
+
+  if (mode === "aes_gcm") {
+    const iv = encrypted.subarray(0, 12);
+    const tag = encrypted.subarray(encrypted.length - 16);
+    const decipher = crypto.createDecipheriv("aes-128-gcm", key, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([
+      decipher.update(encrypted.subarray(12, encrypted.length - 16)),
+      decipher.final(),
+    ]).toString("utf8");
+  }
+
+  const decipher = crypto.createDecipheriv("aes-128-ecb", key, null);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString("utf8");
+}
+
+// Pulsar WebSocket message ({ messageId, payload, properties }) to
+// { protocol, t, data } with `data` decrypted and parsed
+export function parseMessage(message, accessKey = TUYA_CLIENT_SECRET) {
+  const envelope = JSON.parse(Buffer.from(message.payload, "base64").toString("utf8"));
+  const data = JSON.parse(decryptPayload(envelope.data, accessKey, message.properties?.em));
+  return { protocol: envelope.protocol, t: envelope.t, data };
+}
+
+// The device time `t` of a message as a Date, or null when it is missing or
+// implausible
+export function messageTime(t, now = Date.now()) {
+  if (typeof t !== "number" || !Number.isFinite(t)) return null;
+  if (t > now + MAX_CLOCK_SKEW || t < now - MAX_MESSAGE_AGE) return null;
+  return new Date(t);
+}
+
+export function isPushConnected() {
+  return connected;
+}
+
+export function getPushStats() {
+  return { enabled: PUSH_ENABLED, connected, ...stats };
+}
+
+// Exponential backoff with full jitter, like tuya.js retries
+function reconnectDelay() {
+  const cap = Math.min(RECONNECT_MAX_DELAY, RECONNECT_BASE_DELAY * 2 ** reconnectAttempt);
+  reconnectAttempt++;
+  return Math.floor(Math.random() * cap);
+}
+
+// Connects and keeps reconnecting. `onStatus({ deviceId, status, t, time })`
+// gets status reports, `onEvent({ deviceId, bizCode, bizData, t, time })`
+// device events; `time` is the device time (messageTime) or null.
+export function startPushIngestion({ onStatus, onEvent = async () => {} }) {
+  if (!PUSH_ENABLED) return;
+
+  // Messages are handled one at a time, in the order they arrive
+  let queue = Promise.resolve();
+
+  async function handle(raw) {
+    let message;
+    let parsed;
+    try {
+      message = JSON.parse(raw.toString());
+      parsed = parseMessage(message);
+    } catch (error) {
+      // Undecodable messages would only be redelivered forever
+      console.error("❌ Dropping undecodable push message:", error.message);
+      stats.failures++;
+      if (message?.messageId) socket?.send(JSON.stringify({ messageId: message.messageId }));
+      return;
+    }
+
+    stats.messages++;
+    stats.lastMessageAt = new Date();
+    const { protocol, t, data } = parsed;
+    try {
+      if (protocol === PROTOCOL_STATUS && Array.isArray(data.status)) {
+        await onStatus({ deviceId: data.devId, status: data.status, t, time: messageTime(t) });
+      } else if (protocol === PROTOCOL_EVENT) {
+        await onEvent({
+          deviceId: data.devId,
+          bizCode: data.bizCode,
+          bizData: data.bizData,
+          t,
+          time: messageTime(t),
+        });
+      }
+      socket?.send(JSON.stringify({ messageId: message.messageId }));
+    } catch (error) {
+      stats.failures++;
+      console.error(`❌ Error handling push message for ${data.devId}:`, error.message);
+    }
+  }
+
+  function connect() {
+    const ws = new WebSocket(pulsarUrl(), {
+      headers: {
+        username: TUYA_CLIENT_ID,
+        password: pulsarPassword(TUYA_CLIENT_ID, TUYA_CLIENT_SECRET),
+      },
+    });
+    socket = ws;
+    let alive = true;
+    let pingTimer = null;
+
+    ws.on("open", () => {
+      connected = true;
+      reconnectAttempt = 0;
+      stats.connectedSince = new Date();
+      console.log("📡 Tuya push connected");
+      pingTimer = setInterval(() => {
+        if (!alive) {
+          console.warn("⚠️ Tuya push connection unresponsive, reconnecting");
+          ws.terminate();
+          return;
+        }
+        alive = false;
+        ws.ping();
+      }, PING_INTERVAL);
+    });
+    ws.on("pong", () => {
+      alive = true;
+    });
+    ws.on("message", (raw) => {
+      alive = true;
+      queue = queue.then(() => handle(raw));
+    });
+    ws.on("error", (error) => {
+      console.error("❌ Tuya push connection error:", error.message);
+    });
+    ws.on("close", (code) => {
+      clearInterval(pingTimer);
+      connected = false;
+      stats.connectedSince = null;
+      stats.reconnects++;
+      const delay = reconnectDelay();
+      console.warn(`📡 Tuya push disconnected (${code}), reconnecting in ${delay}ms`);
+      setTimeout(connect, delay);
+    });
+  }
+
+  connect();
+}
@@ -0,0 +1,270 @@
+import dotenv from "dotenv";
+import { hasRole } from "./auth.js";
+import { listDevices, getDevice } from "./devices.js";
+import { websocketClients, websocketMessagesTotal } from "./metrics.js";
+
+dotenv.config();
+
+// WebSocket protocol. Every server message is an envelope:
+//   { v: 1, type, deviceId, seq, time, payload }
+// `seq` counts the messages sent on a connection, so a gap means a message
+// was lost. Published messages have the channel name as `type`; replies are
+// "welcome", "subscribed", "snapshot", "pong" and "error".
+// Client messages (JSON):
+//   { type: "subscribe", channels: ["telemetry", "switch"], deviceIds: ["..."] }
+//   { type: "unsubscribe", channels: ["alerts"], deviceIds: ["..."] }
+//   { type: "snapshot", deviceId }   latest reading, switch state, energy and
+//                                    connectivity
+//   { type: "ping" }
+// `deviceIds` is optional and defaults to every device; `deviceId` of a
+// snapshot too. An `id` sent with a message comes back as `requestId`.
+// New connections are subscribed to the default channels. The server pings
+// every WS_HEARTBEAT_SECONDS and terminates connections that did not answer
+// the previous ping.
+
+export const PROTOCOL_VERSION = 1;
+
+// Minimum role per channel, and whether new connections get it by default
+export const CHANNELS = {
+  telemetry: { role: "viewer", default: true },
+  switch: { role: "viewer", default: true },
+  alerts: { role: "viewer", default: true },
+  energy: { role: "viewer", default: false },
+  availability: { role: "viewer", default: true },
+  system: { role: "viewer", default: true },
+  audit: { role: "admin", default: false },
+};
+
+const HEARTBEAT_MS = (Number(process.env.WS_HEARTBEAT_SECONDS) || 30) * 1000;
+
+// Last published payload per device, for snapshots
+const latest = {
+  telemetry: new Map(),
+  switch: new Map(),
+  energy: new Map(),
+  availability: new Map(),
+};
+
+let wss = null;
+let loadSnapshot = async () => ({});
+
+function send(ws, type, payload, { deviceId = null, requestId } = {}) {
+  if (ws.readyState !== 1) return;
+  const envelope = {
+    v: PROTOCOL_VERSION,
+    type,
+    deviceId,
+    seq: ++ws.seq,
+    time: new Date().toISOString(),
+    payload,
+  };
+  if (requestId !== undefined) envelope.requestId = requestId;
+  ws.send(JSON.stringify(envelope));
+}
+
+function sendError(ws, error, details, requestId) {
+  send(ws, "error", { error, details }, { requestId });
+}
+
+// channel -> null (every device) or Set of device ids
+function describeSubscriptions(ws) {
+  return Object.fromEntries(
+    [...ws.subscriptions].map(([channel, deviceIds]) => [
+      channel,
+      deviceIds ? [...deviceIds] : "*",
+    ]),
+  );
+}
+
+function isSubscribed(ws, channel, deviceId) {
+  if (!ws.subscriptions.has(channel)) return false;
+  const deviceIds = ws.subscriptions.get(channel);
+  // Messages that are not about a device go to every subscriber
+  return !deviceIds || !deviceId || deviceIds.has(deviceId);
+}
+
+// Sends a message to every client subscribed to `channel` for `deviceId`
+export function publish(channel, payload, { deviceId = null } = {}) {
+  if (latest[channel] && deviceId) latest[channel].set(deviceId, payload);
+  if (!wss) return;
+  websocketMessagesTotal.inc({ channel });
+  wss.clients.forEach((ws) => {
+    if (ws.subscriptions && isSubscribed(ws, channel, deviceId)) {
+      send(ws, channel, payload, { deviceId });
+    }
+  });
+}
+
+// Whether anyone would receive `channel` messages for `deviceId`, for
+// payloads that are expensive to compute
+export function hasSubscribers(channel, deviceId) {
+  if (!wss) return false;
+  return [...wss.clients].some(
+    (ws) => ws.subscriptions && isSubscribed(ws, channel, deviceId),
+  );
+}
+
+function validateChannelRequest(ws, message) {
+  const errors = [];
+  const { channels, deviceIds } = message;
+
+  if (!Array.isArray(channels) || channels.length === 0) {
+    errors.push("channels must be a non-empty array");
+  } else {
+    channels.forEach((channel) => {
+      if (!CHANNELS[channel]) {
+        errors.push(`Unknown channel: ${channel}`);
+      } else if (!hasRole(ws.user, CHANNELS[channel].role)) {
+        errors.push(`Channel ${channel} requires the ${CHANNELS[channel].role} role`);
+      }
+    });
+  }
+  if (deviceIds !== undefined) {
+    if (!Array.isArray(deviceIds)) {
+      errors.push("deviceIds must be an array");
+    } else {
+      deviceIds
+        .filter((deviceId) => !getDevice(deviceId))
+        .forEach((deviceId) => errors.push(`Device ${deviceId} is not registered`));
+    }
+  }
+  return errors;
+}
+
+function subscribe(ws, { channels, deviceIds }) {
+  channels.forEach((channel) => {
+    const current = ws.subscriptions.get(channel);
+    if (!deviceIds) {
+      ws.subscriptions.set(channel, null);
+    } else if (current !== null) {
+      ws.subscriptions.set(channel, new Set([...(current || []), ...deviceIds]));
+    }
+  });
+}
+
+function unsubscribe(ws, { channels, deviceIds }) {
+  channels.forEach((channel) => {
+    if (!ws.subscriptions.has(channel)) return;
+    if (!deviceIds) {
+      ws.subscriptions.delete(channel);
+      return;
+    }
+    const current =
+      ws.subscriptions.get(channel) || new Set(listDevices().map((d) => d.deviceId));
+    deviceIds.forEach((deviceId) => current.delete(deviceId));
+    if (current.size === 0) ws.subscriptions.delete(channel);
+    else ws.subscriptions.set(channel, current);
+  });
+}
+
+async function sendSnapshot(ws, deviceId, requestId) {
+  const stored = await loadSnapshot(deviceId);
+  send(
+    ws,
+    "snapshot",
+    {
+      telemetry: latest.telemetry.get(deviceId) || stored.telemetry || null,
+      switch: latest.switch.get(deviceId) || stored.switch || null,
+      energy: latest.energy.get(deviceId) || null,
+      availability: latest.availability.get(deviceId) || stored.availability || null,
+    },
+    { deviceId, requestId },
+  );
+}
+
+async function handleMessage(ws, data) {
+  let message;
+  try {
+    message = JSON.parse(data.toString());
+  } catch {
+    return sendError(ws, "Invalid message", ["Messages must be JSON"]);
+  }
+  if (!message || typeof message !== "object") {
+    return sendError(ws, "Invalid message", ["Messages must be JSON objects"]);
+  }
+  const requestId = message.id;
+
+  switch (message.type) {
+    case "subscribe":
+    case "unsubscribe": {
+      const errors = validateChannelRequest(ws, message);
+      if (errors.length > 0) {
+        return sendError(ws, `Invalid ${message.type} request`, errors, requestId);
+      }
+      if (message.type === "subscribe") subscribe(ws, message);
+      else unsubscribe(ws, message);
+      return send(ws, "subscribed", describeSubscriptions(ws), { requestId });
+    }
+    case "snapshot": {
+      if (message.deviceId !== undefined && !getDevice(message.deviceId)) {
+        return sendError(
+          ws,
+          "Invalid snapshot request",
+          [`Device ${message.deviceId} is not registered`],
+          requestId,
+        );
+      }
+      const deviceIds = message.deviceId
+        ? [message.deviceId]
+        : listDevices().map((d) => d.deviceId);
+      for (const deviceId of deviceIds) await sendSnapshot(ws, deviceId, requestId);
+      return;
+    }
+    case "ping":
+      return send(ws, "pong", null, { requestId });
+    default:
+      return sendError(ws, "Invalid message", [`Unknown message type: ${message.type}`], requestId);
+  }
+}
+
+// Attaches the protocol to the WebSocket server. `snapshot(deviceId)` loads
+// { telemetry, switch, availability } from the database for devices that have not
+// published anything since the server started.
+export function initRealtime(server, { snapshot } = {}) {
+  wss = server;
+  if (snapshot) loadSnapshot = snapshot;
+
+  wss.on("connection", (ws, req) => {
+    websocketClients.set(wss.clients.size);
+    ws.on("close", () => websocketClients.set(wss.clients.size));
+    ws.user = req.user;
+    ws.seq = 0;
+    ws.isAlive = true;
+    ws.subscriptions = new Map(
+      Object.entries(CHANNELS)
+        .filter(([, channel]) => channel.default && hasRole(ws.user, channel.role))
+        .map(([name]) => [name, null]),
+    );
+
+    ws.on("pong", () => {
+      ws.isAlive = true;
+    });
+    ws.on("message", (data) => {
+      handleMessage(ws, data).catch((error) => {
+        console.error("Error handling WebSocket message:", error);
+        sendError(ws, "Failed to handle message", [error.message]);
+      });
+    });
+
+    send(ws, "welcome", {
+      protocol: PROTOCOL_VERSION,
+      user: { username: ws.user.username, role: ws.user.role },
+      channels: Object.keys(CHANNELS).filter((name) => hasRole(ws.user, CHANNELS[name].role)),
+      subscriptions: describeSubscriptions(ws),
+      heartbeatSeconds: HEARTBEAT_MS / 1000,
+    });
+  });
+
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach((ws) => {
+      if (!ws.isAlive) {
+        console.warn(`💔 Terminating unresponsive WebSocket client ${ws.user?.username}`);
+        ws.terminate();
+        return;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    });
+  }, HEARTBEAT_MS);
+  wss.on("close", () => clearInterval(heartbeat));
+}
@@ -0,0 +1,461 @@
+import express from "express";
+import PDFDocument from "pdfkit";
+import { listDevices, getDevice, getDefaultDeviceId } from "./devices.js";
+import { getEnergyBuckets } from "./energy.js";
+import { getDailyAverages } from "./rollups.js";
+import { getTariff } from "./tariff.js";
+import { getZonedParts, zonedTimeToUtc } from "./timezone.js";
+
+// Monthly energy reports per device. Energy and cost come from the /energy
+// buckets (same integration and tariff as /today-consumption), the daily
+// power/voltage/on-time figures from the rollups behind /main-chart/data.
+// Months are billing months in the tariff timezone.
+//
+// Reports of finished months are stored in the `reports` collection
+// (_id "<deviceId>:<YYYY-MM>"); the report scheduler generates last month's
+// report for every device on the 1st, or on the first run after that.
+
+const REPORT_FORMATS = ["json", "html", "pdf"];
+const REPORT_CHECK_INTERVAL = 60 * 60 * 1000; // hourly
+
+let reportsCollection = null;
+let reportTimer = null;
+
+export function initReports(db) {
+  reportsCollection = db.collection("reports");
+}
+
+function pad(n) {
+  return String(n).padStart(2, "0");
+}
+
+// "YYYY-MM" of the month `offset` months from the one containing `date`
+function monthKey(date, timezone, offset = 0) {
+  const p = getZonedParts(date, timezone);
+  const first = new Date(Date.UTC(p.year, p.month - 1 + offset, 1));
+  return `${first.getUTCFullYear()}-${pad(first.getUTCMonth() + 1)}`;
+}
+
+function monthRange(month, timezone) {
+  const [year, monthNumber] = month.split("-").map(Number);
+  return {
+    start: zonedTimeToUtc({ year, month: monthNumber, day: 1 }, timezone),
+    end: zonedTimeToUtc({ year, month: monthNumber + 1, day: 1 }, timezone),
+  };
+}
+
+function percentChange(current, previous) {
+  if (!previous) return null;
+  return parseFloat((((current - previous) / previous) * 100).toFixed(1));
+}
+
+// Builds the report of `month` ("YYYY-MM"). Months still in progress are
+// reported up to now and flagged `complete: false`.
+export async function buildMonthlyReport(deviceId, month) {
+  const tariff = await getTariff();
+  const timezone = tariff.timezone;
+  const now = new Date();
+  const { start, end: monthEnd } = monthRange(month, timezone);
+  const complete = monthEnd <= now;
+  const end = complete ? monthEnd : now;
+
+  const [energy, averages, previous] = await Promise.all([
+    getEnergyBuckets(deviceId, { from: start, to: end, granularity: "day", timezone }),
+    getDailyAverages(deviceId, start, new Date(end.getTime() - 1), timezone),
+    (async () => {
+      const previousMonth = monthKey(start, timezone, -1);
+      const range = monthRange(previousMonth, timezone);
+      const { totals } = await getEnergyBuckets(deviceId, {
+        from: range.start,
+        to: range.end,
+        granularity: "month",
+        timezone,
+      });
+      return { month: previousMonth, kwh: totals.kwh, cost: totals.cost };
+    })(),
+  ]);
+
+  const averagesByDay = new Map(averages.map((day) => [day._id, day]));
+  let voltageSum = 0;
+  let readings = 0;
+  let onSeconds = 0;
+  let peakPower = null;
+
+  const days = energy.buckets.map((bucket) => {
+    const day = averagesByDay.get(bucket.label);
+    if (day) {
+      voltageSum += day.voltage * day.count;
+      readings += day.count;
+      onSeconds += day.onSeconds;
+      if (typeof day.maxPower === "number" && (!peakPower || day.maxPower > peakPower.powerW)) {
+        peakPower = { date: bucket.label, powerW: day.maxPower };
+      }
+    }
+    return {
+      date: bucket.label,
+      kwh: bucket.kwh,
+      cost: bucket.cost,
+      avgPowerW: day ? parseFloat(day.power.toFixed(1)) : null,
+      maxPowerW: day?.maxPower ?? null,
+      avgVoltageV: day ? parseFloat(day.voltage.toFixed(1)) : null,
+      hoursOn: day ? parseFloat((day.onSeconds / 3600).toFixed(2)) : 0,
+    };
+  });
+
+  const { totals } = energy;
+  return {
+    deviceId,
+    deviceName: getDevice(deviceId)?.name || null,
+    month,
+    timezone,
+    period: { start: start.toISOString(), end: end.toISOString() },
+    complete,
+    generatedAt: now,
+    totals: {
+      kwh: totals.kwh,
+      cost: totals.cost,
+      currency: totals.currency,
+      method: totals.method,
+    },
+    costBreakdown: energy.costBreakdown,
+    averageVoltageV: readings > 0 ? parseFloat((voltageSum / readings).toFixed(1)) : null,
+    hoursOn: parseFloat((onSeconds / 3600).toFixed(2)),
+    peakPower,
+    days,
+    previousMonth: previous,
+    comparison: {
+      kwhChange: parseFloat((totals.kwh - previous.kwh).toFixed(4)),
+      kwhChangePercent: percentChange(totals.kwh, previous.kwh),
+      costChange: parseFloat((totals.cost - previous.cost).toFixed(2)),
+      costChangePercent: percentChange(totals.cost, previous.cost),
+    },
+  };
+}
+
+// Stored report of a finished month, generated (and stored) when missing
+export async function getMonthlyReport(deviceId, month, { regenerate = false } = {}) {
+  const _id = `${deviceId}:${month}`;
+  if (!regenerate) {
+    const stored = await reportsCollection.findOne({ _id });
+    if (stored) return stored.report;
+  }
+
+  const report = await buildMonthlyReport(deviceId, month);
+  if (report.complete) {
+    await reportsCollection.replaceOne(
+      { _id },
+      { deviceId, month, generatedAt: report.generatedAt, report },
+      { upsert: true },
+    );
+  }
+  return report;
+}
+
+// Generates last month's report for every device that does not have one yet
+export async function generateMissingReports() {
+  try {
+    const { timezone } = await getTariff();
+    const month = monthKey(new Date(), timezone, -1);
+    for (const device of listDevices()) {
+      const exists = await reportsCollection.findOne(
+        { _id: `${device.deviceId}:${month}` },
+        { projection: { _id: 1 } },
+      );
+      if (exists) continue;
+      await getMonthlyReport(device.deviceId, month, { regenerate: true });
+      console.log(`📄 Generated ${month} report for ${device.deviceId}`);
+    }
+  } catch (error) {
+    console.error("Error generating monthly reports:", error.message);
+  }
+}
+
+export function startReportScheduler() {
+  if (reportTimer) return;
+  generateMissingReports();
+  reportTimer = setInterval(generateMissingReports, REPORT_CHECK_INTERVAL);
+  console.log("📄 Report scheduler started");
+}
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function formatNumber(value, digits = 2) {
+  return typeof value === "number" ? value.toFixed(digits) : "-";
+}
+
+function formatChange(change, percent, digits) {
+  const sign = change > 0 ? "+" : "";
+  return `${sign}${formatNumber(change, digits)}${percent === null ? "" : ` (${sign}${percent}%)`}`;
+}
+
+// Summary rows shared by the HTML and PDF renderers
+function summaryRows(report) {
+  const { totals, previousMonth, comparison, peakPower } = report;
+  return [
+    ["Total energy", `${formatNumber(totals.kwh, 3)} kWh`],
+    ["Total cost", `${formatNumber(totals.cost)} ${totals.currency}`],
+    ["Hours on", formatNumber(report.hoursOn, 1)],
+    ["Average voltage", report.averageVoltageV === null ? "-" : `${report.averageVoltageV} V`],
+    ["Peak power", peakPower ? `${formatNumber(peakPower.powerW, 1)} W on ${peakPower.date}` : "-"],
+    [
+      `Compared with ${previousMonth.month}`,
+      `${formatChange(comparison.kwhChange, comparison.kwhChangePercent, 3)} kWh, ` +
+        `${formatChange(comparison.costChange, comparison.costChangePercent, 2)} ${totals.currency}`,
+    ],
+  ];
+}
+
+function reportTitle(report) {
+  return `Energy report ${report.month}: ${report.deviceName || report.deviceId}`;
+}
+
+export function renderReportHtml(report) {
+  const maxKwh = Math.max(...report.days.map((day) => day.kwh), 0);
+  const dayRows = report.days
+    .map(
+      (day) => `
+        <tr>
+          <td>${escapeHtml(day.date)}</td>
+          <td class="num">${formatNumber(day.kwh, 3)}</td>
+          <td class="bar"><span style="width: ${maxKwh > 0 ? (day.kwh / maxKwh) * 100 : 0}%"></span></td>
+          <td class="num">${formatNumber(day.cost)}</td>
+          <td class="num">${formatNumber(day.avgPowerW, 1)}</td>
+          <td class="num">${formatNumber(day.maxPowerW, 1)}</td>
+          <td class="num">${formatNumber(day.avgVoltageV, 1)}</td>
+          <td class="num">${formatNumber(day.hoursOn, 1)}</td>
+        </tr>`,
+    )
+    .join("");
+  const lineItems = report.costBreakdown.lineItems
+    .map(
+      (item) => `
+        <tr><td>${escapeHtml(item.description)}</td><td class="num">${formatNumber(item.amount)}</td></tr>`,
+    )
+    .join("");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(reportTitle(report))}</title>
+  <style>
+    body { font-family: Helvetica, Arial, sans-serif; color: #222; margin: 2rem; }
+    h1 { font-size: 1.4rem; margin-bottom: 0.2rem; }
+    .meta { color: #666; margin-bottom: 1.5rem; }
+    table { border-collapse: collapse; margin-bottom: 1.5rem; }
+    th, td { padding: 0.25rem 0.6rem; border-bottom: 1px solid #ddd; text-align: left; }
+    td.num { text-align: right; font-variant-numeric: tabular-nums; }
+    td.bar { width: 8rem; }
+    td.bar span { display: block; height: 0.6rem; background: #3b82f6; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(reportTitle(report))}</h1>
+  <div class="meta">
+    ${escapeHtml(report.period.start)} to ${escapeHtml(report.period.end)} (${escapeHtml(report.timezone)})
+    ${report.complete ? "" : " &middot; month in progress"}
+  </div>
+
+  <table>
+    ${summaryRows(report)
+      .map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`)
+      .join("")}
+  </table>
+
+  <h2>Cost breakdown (${escapeHtml(report.costBreakdown.currency)})</h2>
+  <table>
+    ${lineItems}
+    <tr><td>VAT</td><td class="num">${formatNumber(report.costBreakdown.vat)}</td></tr>
+    <tr><th>Total</th><th class="num">${formatNumber(report.costBreakdown.total)}</th></tr>
+  </table>
+
+  <h2>Daily breakdown</h2>
+  <table>
+    <tr>
+      <th>Date</th><th>kWh</th><th></th><th>Cost</th><th>Avg W</th><th>Peak W</th><th>Avg V</th><th>Hours on</th>
+    </tr>
+    ${dayRows}
+  </table>
+</body>
+</html>
+`;
+}
+
+// Writes the report as a PDF to `stream` (pdfkit, built-in Helvetica)
+export function renderReportPdf(report, stream) {
+  const doc = new PDFDocument({ size: "A4", margin: 40 });
+  doc.pipe(stream);
+
+  doc.fontSize(16).font("Helvetica-Bold").text(reportTitle(report));
+  doc
+    .fontSize(9)
+    .font("Helvetica")
+    .fillColor("#666")
+    .text(
+      `${report.period.start} to ${report.period.end} (${report.timezone})` +
+        (report.complete ? "" : " - month in progress"),
+    )
+    .fillColor("#000")
+    .moveDown();
+
+  doc.fontSize(10);
+  summaryRows(report).forEach(([label, value]) => {
+    doc.font("Helvetica-Bold").text(`${label}: `, { continued: true });
+    doc.font("Helvetica").text(value);
+  });
+  doc.moveDown();
+
+  doc.font("Helvetica-Bold").text(`Cost breakdown (${report.costBreakdown.currency})`);
+  doc.font("Helvetica");
+  report.costBreakdown.lineItems.forEach((item) => {
+    doc.text(`${item.description}: ${formatNumber(item.amount)}`);
+  });
+  doc.text(`VAT: ${formatNumber(report.costBreakdown.vat)}`);
+  doc.font("Helvetica-Bold").text(`Total: ${formatNumber(report.costBreakdown.total)}`);
+  doc.moveDown();
+
+  const columns = [
+    { title: "Date", x: 40, value: (day) => day.date },
+    { title: "kWh", x: 120, value: (day) => formatNumber(day.kwh, 3) },
+    { title: "Cost", x: 185, value: (day) => formatNumber(day.cost) },
+    { title: "Avg W", x: 250, value: (day) => formatNumber(day.avgPowerW, 1) },
+    { title: "Peak W", x: 315, value: (day) => formatNumber(day.maxPowerW, 1) },
+    { title: "Avg V", x: 385, value: (day) => formatNumber(day.avgVoltageV, 1) },
+    { title: "Hours on", x: 450, value: (day) => formatNumber(day.hoursOn, 1) },
+  ];
+  const writeRow = (values, font) => {
+    if (doc.y > doc.page.height - doc.page.margins.bottom - 20) doc.addPage();
+    const y = doc.y;
+    doc.font(font);
+    values.forEach((value, index) => doc.text(value, columns[index].x, y, { lineBreak: false }));
+    doc.x = columns[0].x;
+    doc.y = y + 14;
+  };
+
+  doc.font("Helvetica-Bold").text("Daily breakdown").moveDown(0.5);
+  doc.fontSize(9);
+  writeRow(columns.map((column) => column.title), "Helvetica-Bold");
+  report.days.forEach((day) => writeRow(columns.map((column) => column.value(day)), "Helvetica"));
+
+  doc.end();
+}
+
+export const reportRouter = express.Router();
+
+// GET /reports?deviceId= lists the stored reports
+reportRouter.get(["/reports", "/devices/:id/reports"], async (req, res) => {
+  try {
+    const filter = {};
+    const deviceId = req.params.id || req.query.deviceId;
+    if (deviceId) filter.deviceId = deviceId;
+
+    const reports = await reportsCollection
+      .find(filter, { projection: { _id: 0, deviceId: 1, month: 1, generatedAt: 1 } })
+      .sort({ month: -1, deviceId: 1 })
+      .toArray();
+    res.json({ success: true, data: reports });
+  } catch (error) {
+    console.error("Error listing reports:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to list reports",
+      details: error.message,
+    });
+  }
+});
+
+// Device, month and format of a report request; null once an error response
+// has been sent
+async function parseReportRequest(req, res) {
+  const deviceId = req.params.id || req.query.deviceId || getDefaultDeviceId();
+  if (!deviceId || !getDevice(deviceId)) {
+    res.status(404).json({
+      success: false,
+      error: `Device ${deviceId || "(none)"} is not registered`,
+    });
+    return null;
+  }
+
+  const { month } = req.params;
+  const format = req.query.format || "json";
+  const errors = [];
+  if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+    errors.push("month must be formatted as YYYY-MM");
+  } else {
+    const { timezone } = await getTariff();
+    if (month > monthKey(new Date(), timezone)) errors.push("month must not be in the future");
+  }
+  if (!REPORT_FORMATS.includes(format)) {
+    errors.push(`format must be one of ${REPORT_FORMATS.join(", ")}`);
+  }
+  if (errors.length > 0) {
+    res.status(400).json({
+      success: false,
+      error: "Invalid report request",
+      details: errors,
+    });
+    return null;
+  }
+  return { deviceId, month, format };
+}
+
+function sendReport(res, report, { deviceId, month, format }) {
+  const filename = `energy-report-${deviceId}-${month}`;
+  if (format === "html") {
+    res.type("html").send(renderReportHtml(report));
+  } else if (format === "pdf") {
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}.pdf"`);
+    renderReportPdf(report, res);
+  } else {
+    res.json({ success: true, data: report });
+  }
+}
+
+// GET /reports/:month?format=json|html|pdf&deviceId=
+reportRouter.get(["/reports/:month", "/devices/:id/reports/:month"], async (req, res) => {
+  try {
+    const request = await parseReportRequest(req, res);
+    if (!request) return;
+
+    const report = await getMonthlyReport(request.deviceId, request.month);
+    sendReport(res, report, request);
+  } catch (error) {
+    console.error("Error building report:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to build report",
+      details: error.message,
+    });
+  }
+});
+
+// POST /reports/:month/regenerate?format=json|html|pdf&deviceId=
+// Rebuilds and overwrites the stored report, so it is a write, not a GET
+reportRouter.post(
+  ["/reports/:month/regenerate", "/devices/:id/reports/:month/regenerate"],
+  async (req, res) => {
+    try {
+      const request = await parseReportRequest(req, res);
+      if (!request) return;
+
+      const report = await getMonthlyReport(request.deviceId, request.month, {
+        regenerate: true,
+      });
+      sendReport(res, report, request);
+    } catch (error) {
+      console.error("Error regenerating report:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to regenerate report",
+        details: error.message,
+      });
+    }
+  },
+);
@@ -0,0 +1,552 @@
+import express from "express";
+import dotenv from "dotenv";
+import { listDevices, getDevice, getDefaultDeviceId } from "./devices.js";
+import { TELEMETRY_UNITS } from "./telemetry.js";
+import {
+  createEnergyTracker,
+  getLastReadingBefore,
+  readReadings,
+  MAX_GAP_MS,
+} from "./consumption.js";
+import {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  getZonedParts,
+  zonedTimeToUtc,
+} from "./timezone.js";
+import { recordAudit, actorFromRequest } from "./audit.js";
+
+dotenv.config();
+
+// Downsampled telemetry. Every reading updates one document per device in each
+// of the minute, hour and day collections:
+//   { deviceId, bucket, count,
+//     power: { sum, min, max }, current: { ... }, voltage: { ... },
+//     kwh, onSeconds, updatedAt }
+// Averages are sum / count. Minute and hour buckets are UTC aligned; day
+// buckets start at local midnight in ROLLUP_TIMEZONE. Energy intervals are
+// split at minute boundaries, so kWh and on-time land in the right bucket.
+
+export const ROLLUP_COLLECTIONS = {
+  minute: "telemetry_1m",
+  hour: "telemetry_1h",
+  day: "telemetry_1d",
+};
+const ROLLUP_TIMEZONE = isValidTimezone(process.env.ROLLUP_TIMEZONE)
+  ? process.env.ROLLUP_TIMEZONE
+  : DEFAULT_TIMEZONE;
+const METRICS = ["power", "current", "voltage"];
+
+const BACKFILL_DAYS_ON_STARTUP = 31;
+
+let collections = {};
+// Per-device energy tracker and last reading for incremental updates
+// (a promise, since the tracker is primed from the database)
+const trackers = new Map();
+// deviceId -> readings received while the device's rollups are being rebuilt
+const backfilling = new Map();
+// deviceId -> tail of its queue of backfills
+const backfillQueues = new Map();
+
+function dayStart(ms) {
+  const p = getZonedParts(new Date(ms), ROLLUP_TIMEZONE);
+  return zonedTimeToUtc({ year: p.year, month: p.month, day: p.day }, ROLLUP_TIMEZONE).getTime();
+}
+
+const dayStartCache = new Map();
+function bucketStarts(ms) {
+  const minute = Math.floor(ms / 60000) * 60000;
+  if (!dayStartCache.has(minute)) {
+    if (dayStartCache.size > 10000) dayStartCache.clear();
+    dayStartCache.set(minute, dayStart(minute));
+  }
+  return {
+    minute,
+    hour: Math.floor(ms / 3600000) * 3600000,
+    day: dayStartCache.get(minute),
+  };
+}
+
+function emptyDelta(granularity, bucket) {
+  return {
+    granularity,
+    bucket,
+    count: 0,
+    power: { sum: 0, min: Infinity, max: -Infinity },
+    current: { sum: 0, min: Infinity, max: -Infinity },
+    voltage: { sum: 0, min: Infinity, max: -Infinity },
+    kwh: 0,
+    onSeconds: 0,
+  };
+}
+
+function deltaFor(deltas, granularity, bucket) {
+  const key = `${granularity}|${bucket}`;
+  let delta = deltas.get(key);
+  if (!delta) {
+    delta = emptyDelta(granularity, bucket);
+    deltas.set(key, delta);
+  }
+  return delta;
+}
+
+// Adds one reading (and the energy/on-time interval it closes) to `deltas`
+function accumulate(deltas, state, reading, maxGapMs = MAX_GAP_MS) {
+  const ms = reading.timestamp.getTime();
+  const starts = bucketStarts(ms);
+
+  for (const granularity of Object.keys(ROLLUP_COLLECTIONS)) {
+    const delta = deltaFor(deltas, granularity, starts[granularity]);
+    delta.count++;
+    METRICS.forEach((metric) => {
+      const value = reading[metric];
+      if (typeof value !== "number") return;
+      delta[metric].sum += value;
+      delta[metric].min = Math.min(delta[metric].min, value);
+      delta[metric].max = Math.max(delta[metric].max, value);
+    });
+  }
+
+  const interval = state.track(reading);
+  const previous = state.previous;
+  const onInterval =
+    reading.switchOn && previous && ms - previous.timestamp.getTime() <= maxGapMs
+      ? { from: previous.timestamp.getTime(), to: ms }
+      : null;
+  state.previous = reading;
+
+  // Spread kWh and on-time over the minutes they cover
+  const spread = (from, to, apply) => {
+    for (let pieceStart = from; pieceStart < to; ) {
+      const pieceEnd = Math.min(to, Math.floor(pieceStart / 60000) * 60000 + 60000);
+      const pieceStarts = bucketStarts(pieceStart);
+      for (const granularity of Object.keys(ROLLUP_COLLECTIONS)) {
+        apply(deltaFor(deltas, granularity, pieceStarts[granularity]), pieceEnd - pieceStart);
+      }
+      pieceStart = pieceEnd;
+    }
+  };
+
+  if (interval) {
+    const duration = interval.to - interval.from;
+    spread(interval.from, interval.to, (delta, pieceMs) => {
+      delta.kwh += (interval.kwh * pieceMs) / duration;
+    });
+  }
+  if (onInterval) {
+    spread(onInterval.from, onInterval.to, (delta, pieceMs) => {
+      delta.onSeconds += pieceMs / 1000;
+    });
+  }
+}
+
+function toUpdate(deviceId, delta, now) {
+  const inc = { count: delta.count, kwh: delta.kwh, onSeconds: delta.onSeconds };
+  const min = {};
+  const max = {};
+  METRICS.forEach((metric) => {
+    inc[`${metric}.sum`] = delta[metric].sum;
+    if (delta[metric].min !== Infinity) min[`${metric}.min`] = delta[metric].min;
+    if (delta[metric].max !== -Infinity) max[`${metric}.max`] = delta[metric].max;
+  });
+
+  const update = { $inc: inc, $set: { updatedAt: now } };
+  if (Object.keys(min).length > 0) update.$min = min;
+  if (Object.keys(max).length > 0) update.$max = max;
+
+  return {
+    updateOne: {
+      filter: { deviceId, bucket: new Date(delta.bucket) },
+      update,
+      upsert: true,
+    },
+  };
+}
+
+async function writeDeltas(deviceId, deltas) {
+  const now = new Date();
+  const byGranularity = { minute: [], hour: [], day: [] };
+  deltas.forEach((delta) => byGranularity[delta.granularity].push(toUpdate(deviceId, delta, now)));
+
+  await Promise.all(
+    Object.entries(byGranularity)
+      .filter(([, ops]) => ops.length > 0)
+      .map(([granularity, ops]) =>
+        collections[granularity].bulkWrite(ops, { ordered: false }),
+      ),
+  );
+}
+
+export async function initRollups(db) {
+  collections = Object.fromEntries(
+    Object.entries(ROLLUP_COLLECTIONS).map(([granularity, name]) => [
+      granularity,
+      db.collection(name),
+    ]),
+  );
+  await Promise.all(
+    Object.values(collections).map((c) => c.createIndex({ deviceId: 1, bucket: 1 }, { unique: true })),
+  );
+}
+
+// Devices without any rollups yet (first deploy, new device) get the last
+// month backfilled in the background. Called once the database is connected.
+export async function backfillMissingRollups() {
+  for (const device of listDevices()) {
+    const hasRollups = await collections.hour.findOne({ deviceId: device.deviceId });
+    if (hasRollups) continue;
+    const to = new Date();
+    const from = new Date(to.getTime() - BACKFILL_DAYS_ON_STARTUP * 24 * 60 * 60 * 1000);
+    backfillRollups(device.deviceId, from, to).catch((err) =>
+      console.error(`Error backfilling rollups for ${device.deviceId}:`, err.message),
+    );
+  }
+}
+
+export function getRollupCollection(granularity) {
+  return collections[granularity];
+}
+
+// Averages per group of rollup buckets, sorted by group. `groupBy` is a $hour
+// or $dateToString expression on the bucket start. Besides the power, current
+// and voltage averages each group has its reading count, peak power, kWh and
+// seconds with the switch on.
+export async function aggregateRollups(granularity, deviceId, start, end, groupBy) {
+  const pipeline = [
+    {
+      $match: {
+        deviceId,
+        bucket: { $gte: start, $lte: end },
+        count: { $gt: 0 },
+      },
+    },
+    {
+      $group: {
+        _id: groupBy,
+        count: { $sum: "$count" },
+        power: { $sum: "$power.sum" },
+        current: { $sum: "$current.sum" },
+        voltage: { $sum: "$voltage.sum" },
+        maxPower: { $max: "$power.max" },
+        kwh: { $sum: "$kwh" },
+        onSeconds: { $sum: "$onSeconds" },
+      },
+    },
+    {
+      $project: {
+        count: 1,
+        power: { $divide: ["$power", "$count"] },
+        current: { $divide: ["$current", "$count"] },
+        voltage: { $divide: ["$voltage", "$count"] },
+        maxPower: 1,
+        kwh: 1,
+        onSeconds: 1,
+      },
+    },
+    {
+      $sort: { _id: 1 },
+    },
+  ];
+
+  return collections[granularity].aggregate(pipeline).toArray();
+}
+
+// Per local hour of day (0-23). Uses the minute rollups, so local hours line
+// up for zones with a :30/:45 offset.
+export async function getHourlyAverages(deviceId, start, end, timezone) {
+  return aggregateRollups("minute", deviceId, start, end, {
+    $hour: { date: "$bucket", timezone: timezone },
+  });
+}
+
+// Per local day (YYYY-MM-DD) from the hourly rollups. Zones with a :30/:45
+// offset count the hour straddling midnight towards the day it starts in.
+export async function getDailyAverages(deviceId, start, end, timezone) {
+  return aggregateRollups("hour", deviceId, start, end, {
+    $dateToString: {
+      format: "%Y-%m-%d",
+      date: "$bucket",
+      timezone: timezone,
+    },
+  });
+}
+
+// kWh between `start` (inclusive) and `end` (exclusive): whole hours from the
+// hourly buckets, the minutes at either end from the minute buckets. Buckets
+// without readings still count, since intervals spill into them.
+export async function getRolledUpKwh(deviceId, start, end) {
+  const hourFrom = new Date(Math.ceil(start.getTime() / 3600000) * 3600000);
+  const hourTo = new Date(Math.max(Math.floor(end.getTime() / 3600000) * 3600000, hourFrom));
+  const ranges =
+    hourFrom < hourTo
+      ? [
+          ["minute", start, hourFrom],
+          ["hour", hourFrom, hourTo],
+          ["minute", hourTo, end],
+        ]
+      : [["minute", start, end]];
+
+  const totals = await Promise.all(
+    ranges
+      .filter(([, from, to]) => from < to)
+      .map(([granularity, from, to]) =>
+        collections[granularity]
+          .aggregate([
+            { $match: { deviceId, bucket: { $gte: from, $lt: to } } },
+            { $group: { _id: null, kwh: { $sum: "$kwh" } } },
+          ])
+          .toArray(),
+      ),
+  );
+  return totals.reduce((sum, [total]) => sum + (total ? total.kwh : 0), 0);
+}
+
+// kWh per local hour of day (0-23) from the minute buckets, as used for
+// time-of-use pricing
+export async function getRolledUpKwhByHour(deviceId, start, end, timezone) {
+  const groups = await collections.minute
+    .aggregate([
+      { $match: { deviceId, bucket: { $gte: start, $lt: end } } },
+      {
+        $group: {
+          _id: { $hour: { date: "$bucket", timezone: timezone } },
+          kwh: { $sum: "$kwh" },
+        },
+      },
+    ])
+    .toArray();
+  const byHour = new Array(24).fill(0);
+  groups.forEach(({ _id, kwh }) => {
+    byHour[_id] = kwh;
+  });
+  return byHour;
+}
+
+// Incremental update for a freshly polled reading
+export async function recordRollupReading(deviceId, reading) {
+  // Readings polled while a backfill of the device runs are applied after it
+  const pending = backfilling.get(deviceId);
+  if (pending) {
+    pending.push(reading);
+    return;
+  }
+
+  if (!trackers.has(deviceId)) {
+    // Continue from the last stored reading so the first interval after a
+    // restart is not lost. A failed lookup is forgotten and retried with the
+    // next reading.
+    const tracker = getLastReadingBefore(deviceId, reading.timestamp).then((previous) => {
+      const state = { track: createEnergyTracker(deviceId), previous: null };
+      if (previous) {
+        state.track(previous);
+        state.previous = previous;
+      }
+      return state;
+    });
+    trackers.set(deviceId, tracker);
+    tracker.catch(() => {
+      if (trackers.get(deviceId) === tracker) trackers.delete(deviceId);
+    });
+  }
+  const state = await trackers.get(deviceId);
+
+  const deltas = new Map();
+  accumulate(deltas, state, reading);
+  await writeDeltas(deviceId, deltas);
+}
+
+// Rebuilds the rollups of a device from raw data. The range is widened to
+// whole days (in ROLLUP_TIMEZONE) so no bucket is left half rebuilt. Backfills
+// of one device run one after another: a range requested while another
+// backfill runs (replayed buffer, manual request) is rebuilt after it rather
+// than dropped.
+export function backfillRollups(deviceId, from, to) {
+  const run = (backfillQueues.get(deviceId) || Promise.resolve()).then(() =>
+    runBackfill(deviceId, from, to),
+  );
+  backfillQueues.set(deviceId, run.catch(() => {}));
+  return run;
+}
+
+async function runBackfill(deviceId, from, to) {
+  const pending = [];
+  backfilling.set(deviceId, pending);
+
+  let replayed = false;
+  try {
+    const result = await rebuildRollups(deviceId, from, to, pending);
+    replayed = result.replayed;
+    return result;
+  } finally {
+    backfilling.delete(deviceId);
+    // A historical rebuild did not touch the live buckets: apply them as usual
+    if (!replayed) {
+      for (const reading of pending) {
+        await recordRollupReading(deviceId, reading).catch((err) =>
+          console.error("Error updating rollups:", err.message),
+        );
+      }
+    }
+  }
+}
+
+async function rebuildRollups(deviceId, from, to, pending) {
+  const start = new Date(dayStart(from.getTime()));
+  const endDay = dayStart(to.getTime());
+  const end = new Date(dayStart(endDay + 36 * 60 * 60 * 1000)); // next local midnight
+  // Later readings are in `pending` and are replayed once the rebuild is done
+  const startedAt = new Date();
+
+  console.log(
+    `🔄 Backfilling rollups for ${deviceId}: ${start.toISOString()} to ${end.toISOString()}`,
+  );
+
+  await Promise.all(
+    Object.values(collections).map((c) =>
+      c.deleteMany({ deviceId, bucket: { $gte: start, $lt: end } }),
+    ),
+  );
+
+  const state = { track: createEnergyTracker(deviceId), previous: null };
+  let deltas = new Map();
+  let readings = 0;
+
+  for await (const reading of readReadings(deviceId, start, end)) {
+    if (reading.timestamp < start) {
+      // Reading before the range: only primes the energy tracker
+      state.track(reading);
+      state.previous = reading;
+      continue;
+    }
+    if (reading.timestamp >= end || reading.timestamp >= startedAt) break;
+    accumulate(deltas, state, reading);
+    readings++;
+
+    // Flush regularly to keep memory bounded on long ranges
+    if (deltas.size > 5000) {
+      await writeDeltas(deviceId, deltas);
+      deltas = new Map();
+    }
+  }
+  if (deltas.size > 0) await writeDeltas(deviceId, deltas);
+
+  // Live updates continue from where the rebuild stopped when it reached now
+  const replayed = end > startedAt;
+  if (replayed) {
+    deltas = new Map();
+    pending
+      .filter((reading) => reading.timestamp >= startedAt)
+      .forEach((reading) => accumulate(deltas, state, reading));
+    if (deltas.size > 0) await writeDeltas(deviceId, deltas);
+    trackers.set(deviceId, Promise.resolve(state));
+  }
+
+  console.log(`✅ Backfilled rollups for ${deviceId} from ${readings} readings`);
+  return { deviceId, start, end, readings, replayed };
+}
+
+export const rollupRouter = express.Router();
+
+// GET /rollups?granularity=minute|hour|day&from=&to=&deviceId=
+rollupRouter.get("/rollups", async (req, res) => {
+  try {
+    const deviceId = req.query.deviceId || getDefaultDeviceId();
+    if (!deviceId || !getDevice(deviceId)) {
+      return res.status(404).json({
+        success: false,
+        error: deviceId ? `Device ${deviceId} is not registered` : "No devices configured",
+      });
+    }
+    const granularity = req.query.granularity || "hour";
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from
+      ? new Date(req.query.from)
+      : new Date(to.getTime() - 24 * 60 * 60 * 1000);
+
+    if (!collections[granularity]) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid granularity parameter. Must be one of ${Object.keys(ROLLUP_COLLECTIONS).join(", ")}`,
+      });
+    }
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid from/to parameter. Must be an ISO date",
+      });
+    }
+
+    const docs = await collections[granularity]
+      .find({ deviceId, bucket: { $gte: from, $lt: to } }, { projection: { _id: 0 } })
+      .sort({ bucket: 1 })
+      .limit(5000)
+      .toArray();
+
+    const data = docs.map((doc) => ({
+      bucket: doc.bucket,
+      count: doc.count,
+      ...Object.fromEntries(
+        METRICS.map((metric) => [
+          metric,
+          {
+            min: doc[metric]?.min ?? null,
+            avg: doc.count > 0 ? doc[metric].sum / doc.count : null,
+            max: doc[metric]?.max ?? null,
+          },
+        ]),
+      ),
+      kwh: doc.kwh,
+      onSeconds: doc.onSeconds,
+    }));
+
+    res.json({ success: true, data: { deviceId, granularity, units: TELEMETRY_UNITS, rollups: data } });
+  } catch (error) {
+    console.error("Error fetching rollups:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch rollups",
+      details: error.message,
+    });
+  }
+});
+
+// POST /rollups/backfill { deviceId, from, to }
+rollupRouter.post("/rollups/backfill", async (req, res) => {
+  try {
+    const deviceId = req.body?.deviceId || getDefaultDeviceId();
+    const to = req.body?.to ? new Date(req.body.to) : new Date();
+    const from = req.body?.from
+      ? new Date(req.body.from)
+      : new Date(to.getTime() - BACKFILL_DAYS_ON_STARTUP * 24 * 60 * 60 * 1000);
+
+    if (!deviceId || !getDevice(deviceId)) {
+      return res.status(404).json({
+        success: false,
+        error: `Device ${deviceId || "(none)"} is not registered`,
+      });
+    }
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from >= to) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid from/to parameter. Must be ISO dates with from before to",
+      });
+    }
+
+    const result = await backfillRollups(deviceId, from, to);
+    await recordAudit({
+      action: "rollups.backfill",
+      actor: actorFromRequest(req),
+      deviceId,
+      request: { from, to },
+      response: result,
+    });
+    res.json({ success: true, data: result });
+  } catch (error) {
+    console.error("Error backfilling rollups:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to backfill rollups",
+      details: error.message,
+    });
+  }
+});
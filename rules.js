@@ -0,0 +1,476 @@
+import express from "express";
+import { ObjectId } from "mongodb";
+import { controlDeviceSwitch } from "./tuya.js";
+import { getDevice, getDefaultDeviceId } from "./devices.js";
+import { getConsumption } from "./consumption.js";
+import { recordAudit, withAudit, actorFromRequest } from "./audit.js";
+import { DEFAULT_TIMEZONE, isValidTimezone, getTodayStartInTimezone } from "./timezone.js";
+
+// Automation rules evaluated on every poll. A rule looks like:
+//   {
+//     deviceId, name, enabled,
+//     condition: { metric: "power", operator: ">", value: 2000,
+//                  forSeconds: 120, hysteresis: 100 },
+//     actions: [{ type: "switch", state: false }, { type: "notify", message }],
+//     cooldownSeconds: 600,
+//   }
+// A rule fires once when its condition has held for `forSeconds`, and re-arms
+// only after the value has moved back past the threshold by `hysteresis`.
+// `cooldownSeconds` is the minimum time between two firings. Every firing is
+// recorded in `rule_firings`.
+
+const METRICS = ["power", "voltage", "current", "todayKwh"];
+const OPERATORS = {
+  ">": (a, b) => a > b,
+  ">=": (a, b) => a >= b,
+  "<": (a, b) => a < b,
+  "<=": (a, b) => a <= b,
+};
+const ACTION_TYPES = ["switch", "notify"];
+const TODAY_KWH_CACHE_TTL = 60000; // today's kWh is recomputed at most once a minute
+const RULES_RELOAD_INTERVAL = 60000;
+
+let rulesCollection = null;
+let firingsCollection = null;
+let rules = [];
+let notify = () => {};
+let reloadTimer = null;
+const todayKwhCache = new Map();
+// deviceId -> tail of its evaluation queue
+const evaluationQueues = new Map();
+
+export async function initRules(db, options = {}) {
+  rulesCollection = db.collection("rules");
+  firingsCollection = db.collection("rule_firings");
+  await rulesCollection.createIndex({ deviceId: 1, enabled: 1 });
+  await firingsCollection.createIndex({ ruleId: 1, firedAt: -1 });
+  if (options.notify) notify = options.notify;
+
+  await reloadRules();
+}
+
+// Picks up rules changed in the database by another instance
+export function startRuleReloads() {
+  if (reloadTimer) return;
+  reloadTimer = setInterval(() => reloadRules().catch((err) => {
+    console.error("Error reloading rules:", err.message);
+  }), RULES_RELOAD_INTERVAL);
+}
+
+// Unchanged rules keep their object, so an evaluation running meanwhile still
+// updates the state that later evaluations see
+async function reloadRules() {
+  const loaded = await rulesCollection.find({ enabled: true }).toArray();
+  const known = new Map(rules.map((rule) => [rule._id.toString(), rule]));
+  rules = loaded.map((rule) => {
+    const previous = known.get(rule._id.toString());
+    if (!previous || previous.updatedAt?.getTime() !== rule.updatedAt?.getTime()) return rule;
+    return Object.assign(previous, rule, { state: previous.state });
+  });
+}
+
+async function getTodayKwh(deviceId, timezone) {
+  const key = `${deviceId}:${timezone}`;
+  const cached = todayKwhCache.get(key);
+  if (cached && Date.now() < cached.expires) return cached.kwh;
+
+  const { totalKwh } = await getConsumption(
+    deviceId,
+    getTodayStartInTimezone(timezone),
+    new Date(),
+  );
+  todayKwhCache.set(key, { kwh: totalKwh, expires: Date.now() + TODAY_KWH_CACHE_TTL });
+  return totalKwh;
+}
+
+async function readMetric(rule, reading) {
+  if (rule.condition.metric === "todayKwh") {
+    return getTodayKwh(rule.deviceId, rule.timezone || DEFAULT_TIMEZONE);
+  }
+  return reading[rule.condition.metric];
+}
+
+// Whether the value is back on the safe side of the threshold, beyond the
+// hysteresis band, so the rule can fire again.
+function isCleared(condition, value) {
+  const band = condition.hysteresis || 0;
+  if (condition.operator === ">" || condition.operator === ">=") {
+    return value < condition.value - band;
+  }
+  return value > condition.value + band;
+}
+
+async function runActions(rule, value) {
+  const results = [];
+  for (const action of rule.actions) {
+    const started = Date.now();
+    try {
+      if (action.type === "switch") {
+        const response = await withAudit(
+          {
+            action: "switch",
+            source: "rule",
+            actor: { type: "rule", id: rule._id.toString(), name: rule.name },
+            deviceId: rule.deviceId,
+            request: { state: action.state },
+          },
+          () => controlDeviceSwitch(rule.deviceId, action.state),
+        );
+        results.push({
+          type: "switch",
+          state: action.state,
+          success: Boolean(response && response.success !== false),
+          latencyMs: Date.now() - started,
+          response,
+        });
+      } else if (action.type === "notify") {
+        await notify({
+          rule,
+          value,
+          message:
+            action.message ||
+            `Rule "${rule.name || rule._id}": ${rule.condition.metric} ${rule.condition.operator} ${rule.condition.value} (now ${value})`,
+        });
+        results.push({ type: "notify", success: true });
+      }
+    } catch (error) {
+      console.error(`Error running ${action.type} action of rule ${rule._id}:`, error.message);
+      results.push({ type: action.type, success: false, error: error.message });
+    }
+  }
+  return results;
+}
+
+async function evaluateRule(rule, reading) {
+  const value = await readMetric(rule, reading);
+  if (typeof value !== "number" || Number.isNaN(value)) return;
+
+  const { condition } = rule;
+  const state = rule.state || {};
+  const now = reading.timestamp;
+  const matches = OPERATORS[condition.operator](value, condition.value);
+  const update = {};
+
+  if (state.active) {
+    if (isCleared(condition, value)) {
+      update.active = false;
+      update.pendingSince = null;
+    }
+  } else if (!matches) {
+    if (state.pendingSince) update.pendingSince = null;
+  } else {
+    const pendingSince = state.pendingSince || now;
+    if (!state.pendingSince) update.pendingSince = pendingSince;
+
+    const heldFor = (now - pendingSince) / 1000;
+    const cooledDown =
+      !state.lastFiredAt ||
+      (now - state.lastFiredAt) / 1000 >= (rule.cooldownSeconds || 0);
+
+    if (heldFor >= (condition.forSeconds || 0) && cooledDown) {
+      update.active = true;
+      update.lastFiredAt = now;
+    }
+  }
+
+  if (Object.keys(update).length === 0) return;
+  // Recorded before the actions run, which can take seconds, so the cooldown
+  // holds from the moment the rule fires
+  rule.state = { ...state, ...update };
+  await rulesCollection.updateOne(
+    { _id: rule._id },
+    { $set: { state: rule.state } },
+  );
+  if (!update.lastFiredAt) return;
+
+  console.log(
+    `⚡ Rule ${rule.name || rule._id} fired for ${rule.deviceId}: ${condition.metric}=${value}`,
+  );
+  const results = await runActions(rule, value);
+  await firingsCollection.insertOne({
+    ruleId: rule._id,
+    ruleName: rule.name,
+    deviceId: rule.deviceId,
+    firedAt: now,
+    metric: condition.metric,
+    value,
+    condition,
+    actions: results,
+  });
+}
+
+// Called by the poller with the latest reading of a device:
+// { deviceId, timestamp, power, voltage, current, switchOn }
+// Readings of one device are evaluated one at a time (polls and push reports
+// can overlap), so a rule never fires twice for the same condition.
+export function evaluateRules(reading) {
+  const { deviceId } = reading;
+  const run = (evaluationQueues.get(deviceId) || Promise.resolve()).then(async () => {
+    const deviceRules = rules.filter((r) => r.deviceId === deviceId);
+    for (const rule of deviceRules) {
+      try {
+        await evaluateRule(rule, reading);
+      } catch (error) {
+        console.error(`Error evaluating rule ${rule._id}:`, error.message);
+      }
+    }
+  });
+  evaluationQueues.set(deviceId, run.catch(() => {}));
+  return run;
+}
+
+function validateRule(input, defaults) {
+  const errors = [];
+  const condition = input.condition || {};
+  const rule = {
+    deviceId: input.deviceId || defaults.deviceId,
+    name: typeof input.name === "string" ? input.name : null,
+    enabled: input.enabled === undefined ? true : input.enabled,
+    timezone: input.timezone || defaults.timezone,
+    cooldownSeconds: input.cooldownSeconds === undefined ? 300 : input.cooldownSeconds,
+    condition: {
+      metric: condition.metric,
+      operator: condition.operator,
+      value: condition.value,
+      forSeconds: condition.forSeconds || 0,
+      hysteresis: condition.hysteresis || 0,
+    },
+    actions: Array.isArray(input.actions)
+      ? input.actions.map(({ type, state, message }) =>
+          type === "switch" ? { type, state } : { type, message: message || null },
+        )
+      : [],
+  };
+
+  if (!rule.deviceId || !getDevice(rule.deviceId)) {
+    errors.push(`Device ${rule.deviceId || "(none)"} is not registered`);
+  }
+  if (typeof rule.enabled !== "boolean") errors.push("enabled must be a boolean");
+  if (!isValidTimezone(rule.timezone)) errors.push(`Unknown timezone: ${rule.timezone}`);
+  if (typeof rule.cooldownSeconds !== "number" || rule.cooldownSeconds < 0) {
+    errors.push("cooldownSeconds must be a non-negative number");
+  }
+  if (!METRICS.includes(rule.condition.metric)) {
+    errors.push(`condition.metric must be one of ${METRICS.join(", ")}`);
+  }
+  if (!OPERATORS[rule.condition.operator]) {
+    errors.push(`condition.operator must be one of ${Object.keys(OPERATORS).join(" ")}`);
+  }
+  if (typeof rule.condition.value !== "number") {
+    errors.push("condition.value must be a number");
+  }
+  ["forSeconds", "hysteresis"].forEach((field) => {
+    if (typeof rule.condition[field] !== "number" || rule.condition[field] < 0) {
+      errors.push(`condition.${field} must be a non-negative number`);
+    }
+  });
+  if (rule.actions.length === 0) {
+    errors.push("actions must be a non-empty array");
+  }
+  rule.actions.forEach((action, index) => {
+    if (!ACTION_TYPES.includes(action.type)) {
+      errors.push(`actions[${index}].type must be one of ${ACTION_TYPES.join(", ")}`);
+    } else if (action.type === "switch" && typeof action.state !== "boolean") {
+      errors.push(`actions[${index}].state must be true (on) or false (off)`);
+    }
+  });
+
+  return { errors, rule };
+}
+
+function parseRuleId(req, res) {
+  if (!ObjectId.isValid(req.params.ruleId)) {
+    res.status(400).json({ success: false, error: "Invalid rule id" });
+    return null;
+  }
+  return new ObjectId(req.params.ruleId);
+}
+
+export const ruleRouter = express.Router();
+
+ruleRouter.get("/rules", async (req, res) => {
+  try {
+    const filter = req.query.deviceId ? { deviceId: req.query.deviceId } : {};
+    const list = await rulesCollection.find(filter).sort({ createdAt: -1 }).toArray();
+    res.json({ success: true, data: list });
+  } catch (error) {
+    console.error("Error listing rules:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to list rules",
+      details: error.message,
+    });
+  }
+});
+
+ruleRouter.get("/rules/:ruleId", async (req, res) => {
+  try {
+    const id = parseRuleId(req, res);
+    if (!id) return;
+
+    const rule = await rulesCollection.findOne({ _id: id });
+    if (!rule) {
+      return res.status(404).json({ success: false, error: "Rule not found" });
+    }
+    res.json({ success: true, data: rule });
+  } catch (error) {
+    console.error("Error fetching rule:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch rule",
+      details: error.message,
+    });
+  }
+});
+
+ruleRouter.post("/rules", async (req, res) => {
+  try {
+    const { errors, rule } = validateRule(req.body || {}, {
+      deviceId: getDefaultDeviceId(),
+      timezone: DEFAULT_TIMEZONE,
+    });
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid rule",
+        details: errors,
+      });
+    }
+
+    const now = new Date();
+    const doc = { ...rule, state: {}, createdAt: now, updatedAt: now };
+    const result = await rulesCollection.insertOne(doc);
+    await reloadRules();
+    await recordAudit({
+      action: "rule.create",
+      actor: actorFromRequest(req),
+      deviceId: doc.deviceId,
+      request: req.body,
+      response: { _id: result.insertedId },
+    });
+
+    res.status(201).json({ success: true, data: { _id: result.insertedId, ...doc } });
+  } catch (error) {
+    console.error("Error creating rule:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to create rule",
+      details: error.message,
+    });
+  }
+});
+
+ruleRouter.patch("/rules/:ruleId", async (req, res) => {
+  try {
+    const id = parseRuleId(req, res);
+    if (!id) return;
+
+    // Express leaves req.body undefined without a JSON body
+    const body = req.body ?? {};
+    if (typeof body !== "object" || Array.isArray(body)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid rule",
+        details: ["Request body must be a JSON object"],
+      });
+    }
+
+    const existing = await rulesCollection.findOne({ _id: id });
+    if (!existing) {
+      return res.status(404).json({ success: false, error: "Rule not found" });
+    }
+
+    const { errors, rule } = validateRule(
+      {
+        ...existing,
+        ...body,
+        condition: { ...existing.condition, ...(body.condition || {}) },
+      },
+      { deviceId: existing.deviceId, timezone: existing.timezone },
+    );
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid rule",
+        details: errors,
+      });
+    }
+
+    // A changed definition starts from a clean evaluation state
+    const updated = { ...rule, state: {}, updatedAt: new Date() };
+    await rulesCollection.updateOne({ _id: id }, { $set: updated });
+    await reloadRules();
+    await recordAudit({
+      action: "rule.update",
+      actor: actorFromRequest(req),
+      deviceId: existing.deviceId,
+      request: { ruleId: id.toString(), ...body },
+    });
+
+    res.json({ success: true, data: { ...existing, ...updated } });
+  } catch (error) {
+    console.error("Error updating rule:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to update rule",
+      details: error.message,
+    });
+  }
+});
+
+ruleRouter.delete("/rules/:ruleId", async (req, res) => {
+  try {
+    const id = parseRuleId(req, res);
+    if (!id) return;
+
+    const existing = await rulesCollection.findOneAndDelete({ _id: id });
+    if (!existing) {
+      return res.status(404).json({ success: false, error: "Rule not found" });
+    }
+    await reloadRules();
+    await recordAudit({
+      action: "rule.delete",
+      actor: actorFromRequest(req),
+      deviceId: existing.deviceId,
+      request: { ruleId: id.toString() },
+    });
+    res.json({ success: true, message: "Rule deleted" });
+  } catch (error) {
+    console.error("Error deleting rule:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to delete rule",
+      details: error.message,
+    });
+  }
+});
+
+// Audit trail of rule firings, optionally for one rule
+ruleRouter.get(["/rule-firings", "/rules/:ruleId/firings"], async (req, res) => {
+  try {
+    const filter = {};
+    if (req.params.ruleId) {
+      const id = parseRuleId(req, res);
+      if (!id) return;
+      filter.ruleId = id;
+    }
+    if (req.query.deviceId) filter.deviceId = req.query.deviceId;
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+    const firings = await firingsCollection
+      .find(filter)
+      .sort({ firedAt: -1 })
+      .limit(limit)
+      .toArray();
+    res.json({ success: true, data: firings });
+  } catch (error) {
+    console.error("Error fetching rule firings:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch rule firings",
+      details: error.message,
+    });
+  }
+});
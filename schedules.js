@@ -0,0 +1,511 @@
+import express from "express";
+import { ObjectId } from "mongodb";
+import { controlDeviceSwitch } from "./tuya.js";
+import { getDevice, getDefaultDeviceId } from "./devices.js";
+import { recordAudit, withAudit, actorFromRequest } from "./audit.js";
+import {
+  getUserTimezone,
+  isValidTimezone,
+  getZonedParts,
+  zonedTimeToUtc,
+} from "./timezone.js";
+
+// Scheduled switching. Two kinds of schedules are stored in `schedules`:
+//   timer:     { type: "timer", runAt, state }           one-off, disabled after it runs
+//   recurring: { type: "recurring", days, actions, timezone }
+//              e.g. days [1..5], actions [{ time: "22:00", state: true },
+//                                         { time: "06:00", state: false }]
+// Every schedule carries `nextRunAt`/`nextState`, so the scheduler only has to
+// look for due documents; a restart simply picks up where it left off.
+// Each execution is recorded in `schedule_runs`.
+
+const SCHEDULER_INTERVAL = 15000; // check for due schedules every 15 seconds
+const LOCK_DURATION = 60000;
+// Recurring runs that are overdue by more than this (server was down) are
+// recorded as missed instead of being executed late. Timers always run.
+const MISSED_RUN_GRACE = 15 * 60 * 1000;
+// Fields that only belong to one type of schedule
+const TYPE_FIELDS = {
+  timer: ["runAt", "state"],
+  recurring: ["days", "actions", "timezone"],
+};
+
+let schedulesCollection = null;
+let runsCollection = null;
+let schedulerTimer = null;
+
+export async function initSchedules(db) {
+  schedulesCollection = db.collection("schedules");
+  runsCollection = db.collection("schedule_runs");
+  await schedulesCollection.createIndex({ enabled: 1, nextRunAt: 1 });
+  await runsCollection.createIndex({ scheduleId: 1, executedAt: -1 });
+}
+
+function parseTime(time) {
+  const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(time);
+  if (!match) return null;
+  return { hour: Number(match[1]), minute: Number(match[2]) };
+}
+
+// Next { at, state } strictly after `after`, or null when the schedule is done
+export function computeNextRun(schedule, after = new Date()) {
+  if (schedule.type === "timer") {
+    return schedule.runAt > after && !schedule.lastRunAt
+      ? { at: schedule.runAt, state: schedule.state }
+      : null;
+  }
+
+  const local = getZonedParts(after, schedule.timezone);
+  let next = null;
+
+  // Looking 7 days ahead (plus today) always covers every weekday
+  for (let offset = 0; offset <= 7 && !next; offset++) {
+    const weekday = new Date(
+      Date.UTC(local.year, local.month - 1, local.day + offset),
+    ).getUTCDay();
+    if (!schedule.days.includes(weekday)) continue;
+
+    for (const action of schedule.actions) {
+      const { hour, minute } = parseTime(action.time);
+      const at = zonedTimeToUtc(
+        { year: local.year, month: local.month, day: local.day + offset, hour, minute },
+        schedule.timezone,
+      );
+      if (at > after && (!next || at < next.at)) {
+        next = { at, state: action.state };
+      }
+    }
+  }
+
+  return next;
+}
+
+// Validates a schedule definition and returns { errors, schedule } where
+// `schedule` contains only the normalised, storable fields.
+function validateSchedule(input, defaults) {
+  const errors = [];
+  const schedule = {
+    deviceId: input.deviceId || defaults.deviceId,
+    name: typeof input.name === "string" ? input.name : null,
+    type: input.type,
+    enabled: input.enabled === undefined ? true : input.enabled,
+  };
+
+  if (!schedule.deviceId || !getDevice(schedule.deviceId)) {
+    errors.push(`Device ${schedule.deviceId || "(none)"} is not registered`);
+  }
+  if (typeof schedule.enabled !== "boolean") {
+    errors.push("enabled must be a boolean");
+  }
+
+  if (input.type === "timer") {
+    if (typeof input.state !== "boolean") {
+      errors.push("state must be true (on) or false (off)");
+    }
+    let runAt = null;
+    if (input.delayMinutes !== undefined) {
+      if (typeof input.delayMinutes !== "number" || input.delayMinutes <= 0) {
+        errors.push("delayMinutes must be a positive number");
+      } else {
+        runAt = new Date(Date.now() + input.delayMinutes * 60000);
+      }
+    } else if (input.runAt !== undefined) {
+      runAt = new Date(input.runAt);
+      if (Number.isNaN(runAt.getTime())) {
+        errors.push("runAt must be an ISO date");
+      }
+    } else {
+      errors.push("timer requires runAt or delayMinutes");
+    }
+    schedule.runAt = runAt;
+    schedule.state = input.state;
+  } else if (input.type === "recurring") {
+    const timezone = input.timezone || defaults.timezone;
+    if (!isValidTimezone(timezone)) {
+      errors.push(`Unknown timezone: ${timezone}`);
+    }
+
+    const days = input.days === undefined ? [0, 1, 2, 3, 4, 5, 6] : input.days;
+    if (
+      !Array.isArray(days) ||
+      days.length === 0 ||
+      !days.every((d) => Number.isInteger(d) && d >= 0 && d <= 6)
+    ) {
+      errors.push("days must be a non-empty array of weekdays (0 = Sunday ... 6 = Saturday)");
+    }
+
+    if (!Array.isArray(input.actions) || input.actions.length === 0) {
+      errors.push("actions must be a non-empty array of { time: \"HH:MM\", state }");
+    } else {
+      input.actions.forEach((action, index) => {
+        if (!action || !parseTime(action.time)) {
+          errors.push(`actions[${index}].time must be HH:MM (24h)`);
+        }
+        if (!action || typeof action.state !== "boolean") {
+          errors.push(`actions[${index}].state must be true (on) or false (off)`);
+        }
+      });
+    }
+
+    schedule.timezone = timezone;
+    schedule.days = Array.isArray(days) ? [...new Set(days)].sort() : days;
+    schedule.actions = Array.isArray(input.actions)
+      ? input.actions.map(({ time, state }) => ({ time, state }))
+      : input.actions;
+  } else {
+    errors.push('type must be "timer" or "recurring"');
+  }
+
+  return { errors, schedule };
+}
+
+async function recordRun(schedule, run) {
+  const doc = {
+    scheduleId: schedule._id,
+    deviceId: schedule.deviceId,
+    scheduledFor: schedule.nextRunAt,
+    state: schedule.nextState,
+    ...run,
+  };
+  await runsCollection.insertOne(doc);
+  return doc;
+}
+
+// Runs a claimed schedule. The schedule is moved on to its next run before the
+// switch is sent, so a failed bookkeeping write can never send it twice.
+async function executeSchedule(schedule) {
+  const now = new Date();
+  const next = computeNextRun(
+    { ...schedule, lastRunAt: now },
+    new Date(Math.max(now.getTime(), schedule.nextRunAt.getTime())),
+  );
+
+  await schedulesCollection.updateOne(
+    { _id: schedule._id },
+    {
+      $set: {
+        lastRunAt: now,
+        nextRunAt: next ? next.at : null,
+        nextState: next ? next.state : null,
+        enabled: next ? schedule.enabled : false,
+        updatedAt: now,
+      },
+      $unset: { lockedUntil: "" },
+    },
+  );
+
+  let run;
+  if (
+    schedule.type === "recurring" &&
+    now - schedule.nextRunAt > MISSED_RUN_GRACE
+  ) {
+    console.warn(
+      `⏭️ Schedule ${schedule._id} missed its run at ${schedule.nextRunAt.toISOString()}`,
+    );
+    run = { executedAt: now, outcome: "missed" };
+  } else if (!getDevice(schedule.deviceId)) {
+    run = {
+      executedAt: now,
+      outcome: "failed",
+      error: `Device ${schedule.deviceId} is not registered`,
+    };
+  } else {
+    const started = Date.now();
+    try {
+      const result = await withAudit(
+        {
+          action: "switch",
+          source: "schedule",
+          actor: { type: "schedule", id: schedule._id.toString(), name: schedule.name },
+          deviceId: schedule.deviceId,
+          request: { state: schedule.nextState },
+        },
+        () => controlDeviceSwitch(schedule.deviceId, schedule.nextState),
+      );
+      const success = Boolean(result && result.success !== false);
+      run = {
+        executedAt: now,
+        outcome: success ? "success" : "failed",
+        latencyMs: Date.now() - started,
+        response: result,
+      };
+    } catch (error) {
+      console.error(`Error executing schedule ${schedule._id}:`, error.message);
+      run = {
+        executedAt: now,
+        outcome: "failed",
+        latencyMs: Date.now() - started,
+        error: error.message,
+      };
+    }
+  }
+
+  console.log(
+    `⏰ Schedule ${schedule._id} (${schedule.deviceId}) switch ${schedule.nextState ? "on" : "off"}: ${run.outcome}`,
+  );
+  try {
+    run = await recordRun(schedule, run);
+    await schedulesCollection.updateOne(
+      { _id: schedule._id },
+      { $set: { lastOutcome: run.outcome } },
+    );
+  } catch (error) {
+    console.error(`Error recording run of schedule ${schedule._id}:`, error.message);
+  }
+  return run;
+}
+
+export async function runDueSchedules() {
+  try {
+    for (;;) {
+      const now = new Date();
+      // Claim one due schedule at a time so overlapping runs never execute twice
+      const schedule = await schedulesCollection.findOneAndUpdate(
+        {
+          enabled: true,
+          nextRunAt: { $lte: now },
+          $or: [{ lockedUntil: { $exists: false } }, { lockedUntil: { $lte: now } }],
+        },
+        { $set: { lockedUntil: new Date(now.getTime() + LOCK_DURATION) } },
+        { sort: { nextRunAt: 1 }, returnDocument: "after" },
+      );
+      if (!schedule) break;
+      await executeSchedule(schedule);
+    }
+  } catch (error) {
+    console.error("Error running due schedules:", error.message);
+  }
+}
+
+export function startScheduler() {
+  if (schedulerTimer) return;
+  runDueSchedules(); // catch up on anything that came due while we were down
+  schedulerTimer = setInterval(runDueSchedules, SCHEDULER_INTERVAL);
+  console.log("⏰ Scheduler started");
+}
+
+function parseScheduleId(req, res) {
+  if (!ObjectId.isValid(req.params.scheduleId)) {
+    res.status(400).json({ success: false, error: "Invalid schedule id" });
+    return null;
+  }
+  return new ObjectId(req.params.scheduleId);
+}
+
+function withNextRun(schedule, now = new Date()) {
+  const next = schedule.enabled ? computeNextRun(schedule, now) : null;
+  return {
+    ...schedule,
+    nextRunAt: next ? next.at : null,
+    nextState: next ? next.state : null,
+  };
+}
+
+export const scheduleRouter = express.Router();
+
+scheduleRouter.get("/schedules", async (req, res) => {
+  try {
+    const filter = req.query.deviceId ? { deviceId: req.query.deviceId } : {};
+    const schedules = await schedulesCollection
+      .find(filter)
+      .sort({ createdAt: -1 })
+      .toArray();
+    res.json({ success: true, data: schedules });
+  } catch (error) {
+    console.error("Error listing schedules:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to list schedules",
+      details: error.message,
+    });
+  }
+});
+
+scheduleRouter.get("/schedules/:scheduleId", async (req, res) => {
+  try {
+    const id = parseScheduleId(req, res);
+    if (!id) return;
+
+    const schedule = await schedulesCollection.findOne({ _id: id });
+    if (!schedule) {
+      return res.status(404).json({ success: false, error: "Schedule not found" });
+    }
+    res.json({ success: true, data: schedule });
+  } catch (error) {
+    console.error("Error fetching schedule:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch schedule",
+      details: error.message,
+    });
+  }
+});
+
+scheduleRouter.post("/schedules", async (req, res) => {
+  try {
+    const { errors, schedule } = validateSchedule(req.body || {}, {
+      deviceId: getDefaultDeviceId(),
+      timezone: getUserTimezone(req),
+    });
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid schedule",
+        details: errors,
+      });
+    }
+
+    const now = new Date();
+    const doc = withNextRun({ ...schedule, createdAt: now, updatedAt: now }, now);
+    if (doc.enabled && !doc.nextRunAt) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid schedule",
+        details: ["Schedule would never run (runAt is in the past)"],
+      });
+    }
+
+    const result = await schedulesCollection.insertOne(doc);
+    await recordAudit({
+      action: "schedule.create",
+      actor: actorFromRequest(req),
+      deviceId: doc.deviceId,
+      request: req.body,
+      response: { _id: result.insertedId },
+    });
+    res.status(201).json({ success: true, data: { _id: result.insertedId, ...doc } });
+  } catch (error) {
+    console.error("Error creating schedule:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to create schedule",
+      details: error.message,
+    });
+  }
+});
+
+scheduleRouter.patch("/schedules/:scheduleId", async (req, res) => {
+  try {
+    const id = parseScheduleId(req, res);
+    if (!id) return;
+
+    // Express leaves req.body undefined without a JSON body
+    const body = req.body ?? {};
+    if (typeof body !== "object" || Array.isArray(body)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid schedule",
+        details: ["Request body must be a JSON object"],
+      });
+    }
+
+    const existing = await schedulesCollection.findOne({ _id: id });
+    if (!existing) {
+      return res.status(404).json({ success: false, error: "Schedule not found" });
+    }
+
+    const { errors, schedule } = validateSchedule(
+      { ...existing, ...body, type: body.type || existing.type },
+      { deviceId: existing.deviceId, timezone: existing.timezone || getUserTimezone(req) },
+    );
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid schedule",
+        details: errors,
+      });
+    }
+
+    const now = new Date();
+    // Editing a timer re-arms it
+    const updated = withNextRun({ ...schedule, updatedAt: now }, now);
+    if (updated.enabled && !updated.nextRunAt) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid schedule",
+        details: ["Schedule would never run (runAt is in the past)"],
+      });
+    }
+
+    // Changing the type drops the fields of the previous one
+    const unset = Object.fromEntries(
+      Object.entries(TYPE_FIELDS)
+        .filter(([type]) => type !== schedule.type)
+        .flatMap(([, fields]) => fields.map((field) => [field, ""])),
+    );
+    if (schedule.type === "timer") unset.lastRunAt = "";
+    const stored = await schedulesCollection.findOneAndUpdate(
+      { _id: id },
+      { $set: updated, $unset: unset },
+      { returnDocument: "after" },
+    );
+    if (!stored) {
+      return res.status(404).json({ success: false, error: "Schedule not found" });
+    }
+    await recordAudit({
+      action: "schedule.update",
+      actor: actorFromRequest(req),
+      deviceId: existing.deviceId,
+      request: { scheduleId: id.toString(), ...body },
+    });
+
+    res.json({ success: true, data: stored });
+  } catch (error) {
+    console.error("Error updating schedule:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to update schedule",
+      details: error.message,
+    });
+  }
+});
+
+scheduleRouter.delete("/schedules/:scheduleId", async (req, res) => {
+  try {
+    const id = parseScheduleId(req, res);
+    if (!id) return;
+
+    const existing = await schedulesCollection.findOneAndDelete({ _id: id });
+    if (!existing) {
+      return res.status(404).json({ success: false, error: "Schedule not found" });
+    }
+    await recordAudit({
+      action: "schedule.delete",
+      actor: actorFromRequest(req),
+      deviceId: existing.deviceId,
+      request: { scheduleId: id.toString() },
+    });
+    res.json({ success: true, message: "Schedule deleted" });
+  } catch (error) {
+    console.error("Error deleting schedule:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to delete schedule",
+      details: error.message,
+    });
+  }
+});
+
+scheduleRouter.get("/schedules/:scheduleId/runs", async (req, res) => {
+  try {
+    const id = parseScheduleId(req, res);
+    if (!id) return;
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+    const runs = await runsCollection
+      .find({ scheduleId: id })
+      .sort({ executedAt: -1 })
+      .limit(limit)
+      .toArray();
+    res.json({ success: true, data: runs });
+  } catch (error) {
+    console.error("Error fetching schedule runs:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch schedule runs",
+      details: error.message,
+    });
+  }
+});
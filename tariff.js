@@ -0,0 +1,355 @@
+import express from "express";
+import { getRolledUpKwh, getRolledUpKwhByHour } from "./rollups.js";
+import { recordAudit, actorFromRequest } from "./audit.js";
+import {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  getZonedParts,
+  zonedTimeToUtc,
+} from "./timezone.js";
+
+// Electricity tariff, stored as a single document in `tariffs` and editable
+// through GET/PUT /tariff. The cost of a period is computed as:
+//   energy   = kWh priced across the progressive slabs, starting from the
+//              month-to-date consumption before the period (slabs reset on the
+//              1st of each billing month)
+//   tou      = surcharge/discount for kWh used in time-of-use periods:
+//              slab cost * (multiplier - 1)
+//   demand   = demand charge per sanctioned kW per month, prorated to the period
+//   vat      = vatPercent of everything above
+
+// BERC residential (LT-A) rates, used until a tariff is saved through the API
+export const DEFAULT_TARIFF = {
+  name: "BERC LT-A Residential",
+  currency: "BDT",
+  timezone: DEFAULT_TIMEZONE,
+  slabs: [
+    { upToKwh: 75, rate: 5.26 },
+    { upToKwh: 200, rate: 7.2 },
+    { upToKwh: 300, rate: 7.59 },
+    { upToKwh: 400, rate: 8.02 },
+    { upToKwh: 600, rate: 12.67 },
+    { upToKwh: null, rate: 14.61 },
+  ],
+  timeOfUse: {
+    enabled: false,
+    periods: [
+      { name: "Peak", start: "17:00", end: "23:00", multiplier: 1.2 },
+      { name: "Off-peak", start: "23:00", end: "17:00", multiplier: 0.9 },
+    ],
+  },
+  demandCharge: { perKw: 42, sanctionedLoadKw: 2 },
+  vatPercent: 5,
+};
+
+const TARIFF_ID = "active";
+
+let tariffsCollection = null;
+
+export function initTariff(db) {
+  tariffsCollection = db.collection("tariffs");
+}
+
+export async function getTariff() {
+  const stored = await tariffsCollection.findOne({ _id: TARIFF_ID });
+  if (!stored) return { ...DEFAULT_TARIFF, isDefault: true };
+  const { _id, ...tariff } = stored;
+  return tariff;
+}
+
+function round(value, digits = 2) {
+  return parseFloat(value.toFixed(digits));
+}
+
+function parseHour(time) {
+  const match = /^([01]\d|2[0-3]):00$/.exec(time);
+  return match ? Number(match[1]) : null;
+}
+
+// Local hours of day (0-23) covered by a period, wrapping past midnight
+function periodHours(period) {
+  const start = parseHour(period.start);
+  const end = parseHour(period.end);
+  const hours = [];
+  for (let h = start; hours.length < 24; h = (h + 1) % 24) {
+    if (h === end && hours.length > 0) break;
+    hours.push(h);
+  }
+  return hours;
+}
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+function validateTariff(input) {
+  const errors = [];
+  const tariff = {
+    name: typeof input.name === "string" ? input.name : null,
+    currency: input.currency || "BDT",
+    timezone: input.timezone || DEFAULT_TIMEZONE,
+    slabs: input.slabs,
+    timeOfUse: input.timeOfUse || { enabled: false, periods: [] },
+    demandCharge: input.demandCharge || { perKw: 0, sanctionedLoadKw: 0 },
+    vatPercent: input.vatPercent === undefined ? 0 : input.vatPercent,
+  };
+
+  if (typeof tariff.currency !== "string") errors.push("currency must be a string");
+  if (!isValidTimezone(tariff.timezone)) errors.push(`Unknown timezone: ${tariff.timezone}`);
+
+  if (!Array.isArray(tariff.slabs) || tariff.slabs.length === 0) {
+    errors.push("slabs must be a non-empty array of { upToKwh, rate }");
+  } else if (!tariff.slabs.every(isPlainObject)) {
+    errors.push("every slab must be an object { upToKwh, rate }");
+  } else {
+    let previous = 0;
+    tariff.slabs.forEach((slab, index) => {
+      const last = index === tariff.slabs.length - 1;
+      if (typeof slab.rate !== "number" || slab.rate < 0) {
+        errors.push(`slabs[${index}].rate must be a non-negative number`);
+      }
+      if (last && slab.upToKwh !== null && slab.upToKwh !== undefined) {
+        errors.push("the last slab must be open-ended (upToKwh: null)");
+      } else if (!last && (typeof slab.upToKwh !== "number" || slab.upToKwh <= previous)) {
+        errors.push(`slabs[${index}].upToKwh must be a number greater than ${previous}`);
+      }
+      if (!last) previous = slab.upToKwh;
+    });
+    tariff.slabs = tariff.slabs.map(({ upToKwh, rate }) => ({ upToKwh: upToKwh ?? null, rate }));
+  }
+
+  const { timeOfUse } = tariff;
+  if (typeof timeOfUse.enabled !== "boolean") errors.push("timeOfUse.enabled must be a boolean");
+  if (!Array.isArray(timeOfUse.periods)) {
+    errors.push("timeOfUse.periods must be an array");
+  } else if (!timeOfUse.periods.every(isPlainObject)) {
+    errors.push("every timeOfUse period must be an object { name, start, end, multiplier }");
+  } else {
+    const covered = new Set();
+    timeOfUse.periods.forEach((period, index) => {
+      if (parseHour(period.start) === null || parseHour(period.end) === null) {
+        errors.push(`timeOfUse.periods[${index}] start/end must be whole hours (HH:00)`);
+        return;
+      }
+      if (typeof period.multiplier !== "number" || period.multiplier < 0) {
+        errors.push(`timeOfUse.periods[${index}].multiplier must be a non-negative number`);
+      }
+      periodHours(period).forEach((h) => {
+        if (covered.has(h)) errors.push(`timeOfUse.periods[${index}] overlaps hour ${h}`);
+        covered.add(h);
+      });
+    });
+    tariff.timeOfUse = {
+      enabled: timeOfUse.enabled,
+      periods: timeOfUse.periods.map(({ name, start, end, multiplier }) => ({
+        name: name || `${start}-${end}`,
+        start,
+        end,
+        multiplier,
+      })),
+    };
+  }
+
+  const { demandCharge } = tariff;
+  if (typeof demandCharge.perKw !== "number" || demandCharge.perKw < 0) {
+    errors.push("demandCharge.perKw must be a non-negative number");
+  }
+  if (typeof demandCharge.sanctionedLoadKw !== "number" || demandCharge.sanctionedLoadKw < 0) {
+    errors.push("demandCharge.sanctionedLoadKw must be a non-negative number");
+  }
+  tariff.demandCharge = {
+    perKw: demandCharge.perKw,
+    sanctionedLoadKw: demandCharge.sanctionedLoadKw,
+  };
+
+  if (typeof tariff.vatPercent !== "number" || tariff.vatPercent < 0) {
+    errors.push("vatPercent must be a non-negative number");
+  }
+
+  return { errors, tariff };
+}
+
+// Splits `kwh`, used after `priorKwh` this billing month, across the slabs.
+function applySlabs(slabs, priorKwh, kwh) {
+  const portions = [];
+  let lower = 0;
+  for (const slab of slabs) {
+    const upper = slab.upToKwh ?? Infinity;
+    const from = Math.max(priorKwh, lower);
+    const to = Math.min(priorKwh + kwh, upper);
+    if (to > from) {
+      portions.push({
+        description: `Energy ${lower}-${slab.upToKwh ?? "∞"} kWh @ ${slab.rate}`,
+        kwh: to - from,
+        rate: slab.rate,
+        amount: (to - from) * slab.rate,
+      });
+    }
+    lower = upper;
+  }
+  return portions;
+}
+
+// Line-item cost of `kwh` used between periodStart and periodEnd.
+// `kwhByHour` (local hours 0-23) is needed for time-of-use pricing and
+// `monthToDateKwh` is the consumption earlier in the same billing month.
+export function calculateCost(
+  tariff,
+  { kwh, kwhByHour, monthToDateKwh = 0, periodStart, periodEnd },
+) {
+  const lineItems = [];
+
+  const slabItems = applySlabs(tariff.slabs, monthToDateKwh, kwh);
+  slabItems.forEach((item) => lineItems.push({ type: "energy", ...item }));
+  const energyCost = slabItems.reduce((sum, item) => sum + item.amount, 0);
+
+  if (tariff.timeOfUse?.enabled && kwhByHour && kwh > 0) {
+    // TOU adjusts the average slab rate of this period
+    const averageRate = energyCost / kwh;
+    tariff.timeOfUse.periods.forEach((period) => {
+      const periodKwh = periodHours(period).reduce((sum, h) => sum + (kwhByHour[h] || 0), 0);
+      const amount = periodKwh * averageRate * (period.multiplier - 1);
+      if (periodKwh > 0 && amount !== 0) {
+        lineItems.push({
+          type: "timeOfUse",
+          description: `${period.name} (${period.start}-${period.end}) x${period.multiplier}`,
+          kwh: periodKwh,
+          amount,
+        });
+      }
+    });
+  }
+
+  const { perKw, sanctionedLoadKw } = tariff.demandCharge || {};
+  if (perKw > 0 && sanctionedLoadKw > 0 && periodStart && periodEnd) {
+    const monthStart = billingMonthStart(periodStart, tariff.timezone);
+    const local = getZonedParts(periodStart, tariff.timezone);
+    const monthEnd = zonedTimeToUtc(
+      { year: local.year, month: local.month + 1, day: 1 },
+      tariff.timezone,
+    );
+    const fraction = (periodEnd - periodStart) / (monthEnd - monthStart);
+    lineItems.push({
+      type: "demand",
+      description: `Demand charge ${sanctionedLoadKw} kW @ ${perKw}/kW/month (${round(fraction * 100)}% of month)`,
+      amount: perKw * sanctionedLoadKw * fraction,
+    });
+  }
+
+  const subtotal = lineItems.reduce((sum, item) => sum + item.amount, 0);
+  const vat = (subtotal * (tariff.vatPercent || 0)) / 100;
+  if (vat > 0) {
+    lineItems.push({
+      type: "vat",
+      description: `VAT ${tariff.vatPercent}%`,
+      amount: vat,
+    });
+  }
+
+  return {
+    currency: tariff.currency,
+    tariff: tariff.name,
+    lineItems: lineItems.map((item) => ({
+      ...item,
+      ...(item.kwh !== undefined ? { kwh: round(item.kwh, 4) } : {}),
+      amount: round(item.amount),
+    })),
+    subtotal: round(subtotal),
+    vat: round(vat),
+    total: round(subtotal + vat),
+  };
+}
+
+// Start of the billing month containing `date`, in the tariff timezone
+export function billingMonthStart(date, timezone) {
+  const local = getZonedParts(date, timezone);
+  return zonedTimeToUtc({ year: local.year, month: local.month, day: 1 }, timezone);
+}
+
+// Cost of a device's consumption between start and end, including the
+// month-to-date consumption needed to pick the right slabs. Both come from
+// the rollups rather than raw telemetry.
+export async function getCostBreakdown(deviceId, consumption, start, end) {
+  const tariff = await getTariff();
+  const monthStart = billingMonthStart(start, tariff.timezone);
+  const monthToDateKwh = monthStart < start ? await getRolledUpKwh(deviceId, monthStart, start) : 0;
+
+  // byHour must be in the tariff timezone for the TOU periods to line up
+  const byHour =
+    consumption.timezone === tariff.timezone
+      ? consumption.byHour
+      : await getRolledUpKwhByHour(deviceId, start, end, tariff.timezone);
+
+  return calculateCost(tariff, {
+    kwh: consumption.totalKwh,
+    kwhByHour: byHour,
+    monthToDateKwh,
+    periodStart: start,
+    periodEnd: end,
+  });
+}
+
+export const tariffRouter = express.Router();
+
+tariffRouter.get("/tariff", async (req, res) => {
+  try {
+    res.json({ success: true, data: await getTariff() });
+  } catch (error) {
+    console.error("Error fetching tariff:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch tariff",
+      details: error.message,
+    });
+  }
+});
+
+tariffRouter.put("/tariff", async (req, res) => {
+  try {
+    const { errors, tariff } = validateTariff(req.body || {});
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid tariff",
+        details: errors,
+      });
+    }
+
+    const doc = { ...tariff, updatedAt: new Date() };
+    await tariffsCollection.replaceOne({ _id: TARIFF_ID }, doc, { upsert: true });
+    console.log(`💰 Tariff updated: ${tariff.name || "(unnamed)"}`);
+    await recordAudit({ action: "tariff.update", actor: actorFromRequest(req), request: req.body });
+
+    res.json({ success: true, data: doc });
+  } catch (error) {
+    console.error("Error updating tariff:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to update tariff",
+      details: error.message,
+    });
+  }
+});
+
+// Cost of an arbitrary kWh amount, e.g. for "what would 120 kWh cost" previews
+tariffRouter.post("/tariff/calculate", async (req, res) => {
+  try {
+    const { kwh, monthToDateKwh = 0 } = req.body || {};
+    if (typeof kwh !== "number" || kwh < 0 || typeof monthToDateKwh !== "number") {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid kwh parameter. Must be a non-negative number",
+      });
+    }
+
+    const tariff = await getTariff();
+    res.json({ success: true, data: calculateCost(tariff, { kwh, monthToDateKwh }) });
+  } catch (error) {
+    console.error("Error calculating cost:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to calculate cost",
+      details: error.message,
+    });
+  }
+});
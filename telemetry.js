@@ -0,0 +1,448 @@
+import express from "express";
+import dotenv from "dotenv";
+import { ObjectId } from "mongodb";
+import { scaleDpValue } from "./tuya.js";
+import { getDevice, getDefaultDeviceId } from "./devices.js";
+import { mongoInsertDuration } from "./metrics.js";
+import {
+  isConnectionError,
+  appendToBuffer,
+  hasBufferedWrites,
+  drainBuffer,
+} from "./offline-buffer.js";
+
+dotenv.config();
+
+// Normalised telemetry. Each poll is stored in the `telemetry` time-series
+// collection (metaField deviceId) as one typed, already scaled document:
+//   { schemaVersion, deviceId, timestamp,
+//     powerW, voltageV, currentMa, switchOn, energyKwh,
+//     raw: { code: value } }   // the unscaled data points as reported
+// Fields the device did not report, or reported outside the min/max of its
+// specification, are null. `raw` keeps the other data points (countdown, relay
+// status, ...) without giving them a schema.
+//
+// Documents of the old `device_data` collection ({ deviceId, timestamp,
+// status: [{ code, value }] }) are converted by migrate-telemetry.js.
+
+export const TELEMETRY_COLLECTION = "telemetry";
+export const TELEMETRY_SCHEMA_VERSION = 1;
+
+// Raw readings older than this are removed by the collection's TTL. Tariff
+// month-to-date and /energy integrate raw readings, so less than 32 days is
+// not allowed.
+const MIN_RAW_RETENTION_DAYS = 32;
+
+let telemetryCollection = null;
+
+// Units of the typed fields, included in API responses for axis labels
+export const TELEMETRY_UNITS = {
+  power: "W",
+  voltage: "V",
+  current: "mA",
+  energy: "kWh",
+};
+
+// Typed fields with the data point they come from. `fallback` is the encoding
+// of the common Tuya plugs, used when the device has no specification for the
+// code. `units` converts the spec's unit to the field's unit.
+const TELEMETRY_FIELDS = {
+  powerW: {
+    code: "cur_power",
+    fallback: { scale: 1, unit: "W" },
+    units: { w: 1, kw: 1000 },
+  },
+  voltageV: {
+    code: "cur_voltage",
+    fallback: { scale: 1, unit: "V" },
+    units: { v: 1, mv: 0.001 },
+  },
+  currentMa: {
+    code: "cur_current",
+    fallback: { scale: 0, unit: "mA" },
+    units: { ma: 1, a: 1000 },
+  },
+  energyKwh: {
+    code: "add_ele",
+    fallback: { scale: 3, unit: "kWh" },
+    units: { kwh: 1, wh: 0.001 },
+  },
+};
+
+function typedValue(field, raw, spec) {
+  const scaled = scaleDpValue(spec || { values: field.fallback }, raw);
+  if (!scaled) return null;
+  const factor = field.units[String(scaled.unit || "").toLowerCase()] ?? 1;
+  return scaled.value * factor;
+}
+
+// Builds a telemetry document from a Tuya status array ([{ code, value }]).
+// `specs` are the device's status specifications by code (getStatusSpecs).
+export function normalizeStatus(deviceId, timestamp, status, specs = {}) {
+  const raw = Object.fromEntries((status || []).map((s) => [s.code, s.value]));
+  const typed = Object.fromEntries(
+    Object.entries(TELEMETRY_FIELDS).map(([name, field]) => [
+      name,
+      typedValue(field, raw[field.code], specs[field.code]),
+    ]),
+  );
+  return {
+    schemaVersion: TELEMETRY_SCHEMA_VERSION,
+    deviceId,
+    timestamp,
+    powerW: typed.powerW,
+    voltageV: typed.voltageV,
+    currentMa: typed.currentMa,
+    switchOn: typeof raw.switch_1 === "boolean" ? raw.switch_1 : null,
+    energyKwh: typed.energyKwh,
+    raw,
+  };
+}
+
+function retentionSeconds() {
+  const days = Number(process.env.RAW_RETENTION_DAYS);
+  if (!days) return null;
+  if (days < MIN_RAW_RETENTION_DAYS) {
+    console.warn(
+      `⚠️ RAW_RETENTION_DAYS=${days} is below ${MIN_RAW_RETENTION_DAYS}, using ${MIN_RAW_RETENTION_DAYS}`,
+    );
+    return MIN_RAW_RETENTION_DAYS * 24 * 60 * 60;
+  }
+  return days * 24 * 60 * 60;
+}
+
+// Creates the time-series collection on first start and keeps its retention
+// in line with RAW_RETENTION_DAYS (unset: readings are kept forever).
+export async function initTelemetry(db) {
+  const expireAfterSeconds = retentionSeconds();
+  const [existing] = await db
+    .listCollections({ name: TELEMETRY_COLLECTION })
+    .toArray();
+
+  if (!existing) {
+    await db.createCollection(TELEMETRY_COLLECTION, {
+      timeseries: { timeField: "timestamp", metaField: "deviceId", granularity: "seconds" },
+      ...(expireAfterSeconds ? { expireAfterSeconds } : {}),
+    });
+    console.log(`📦 Created time-series collection ${TELEMETRY_COLLECTION}`);
+  } else if ((existing.options.expireAfterSeconds ?? null) !== expireAfterSeconds) {
+    await db.command({
+      collMod: TELEMETRY_COLLECTION,
+      expireAfterSeconds: expireAfterSeconds ?? "off",
+    });
+  }
+  console.log(
+    expireAfterSeconds
+      ? `🗑️ Raw telemetry retention: ${expireAfterSeconds / 86400} days`
+      : "🗑️ Raw telemetry retention disabled",
+  );
+
+  telemetryCollection = db.collection(TELEMETRY_COLLECTION);
+  await telemetryCollection.createIndex({ deviceId: 1, timestamp: 1 });
+  return telemetryCollection;
+}
+
+export function getTelemetryCollection() {
+  return telemetryCollection;
+}
+
+// Stores a reading. While MongoDB is unreachable (or not connected yet) the
+// reading goes to the offline buffer instead; its _id is assigned up front so
+// a replay can tell whether an insert that timed out actually went through.
+export async function insertTelemetry(doc) {
+  if (!doc._id) doc._id = new ObjectId();
+  if (!telemetryCollection) {
+    await appendToBuffer(doc);
+    return doc;
+  }
+  const endTimer = mongoInsertDuration.startTimer({ collection: TELEMETRY_COLLECTION });
+  let status = "error";
+  try {
+    try {
+      await telemetryCollection.insertOne(doc);
+      status = "success";
+    } finally {
+      // Failed inserts count too: they are the slow ones during an outage
+      endTimer({ status });
+    }
+  } catch (error) {
+    if (!isConnectionError(error)) throw error;
+    console.warn(`💾 MongoDB unavailable, buffering reading of ${doc.deviceId}: ${error.message}`);
+    await appendToBuffer(doc);
+  }
+  return doc;
+}
+
+// Ids of `docs` that are already stored. Queried per device and time range so
+// the time-series index is used (time-series collections have no unique _id).
+export async function findExistingTelemetryIds(docs) {
+  const byDevice = new Map();
+  docs.forEach((doc) => {
+    if (!byDevice.has(doc.deviceId)) byDevice.set(doc.deviceId, []);
+    byDevice.get(doc.deviceId).push(doc);
+  });
+
+  const found = new Set();
+  for (const [deviceId, deviceDocs] of byDevice) {
+    const timestamps = deviceDocs.map((doc) => doc.timestamp.getTime());
+    const existing = await telemetryCollection
+      .find(
+        {
+          deviceId,
+          timestamp: {
+            $gte: new Date(Math.min(...timestamps)),
+            $lte: new Date(Math.max(...timestamps)),
+          },
+          _id: { $in: deviceDocs.map((doc) => doc._id) },
+        },
+        { projection: { _id: 1 } },
+      )
+      .toArray();
+    existing.forEach((doc) => found.add(doc._id.toString()));
+  }
+  return found;
+}
+
+// Inserts the readings buffered during an outage, skipping any that made it
+// in before. Resolves with the replayed range per device, e.g. to rebuild
+// rollups: Map deviceId -> { from, to }.
+export async function replayBufferedTelemetry() {
+  const ranges = new Map();
+  if (!telemetryCollection || !hasBufferedWrites()) return ranges;
+
+  const { replayed } = await drainBuffer(async (docs) => {
+    const existing = await findExistingTelemetryIds(docs);
+    const toInsert = docs.filter((doc) => !existing.has(doc._id.toString()));
+    if (toInsert.length > 0) await telemetryCollection.insertMany(toInsert, { ordered: false });
+
+    docs.forEach(({ deviceId, timestamp }) => {
+      const range = ranges.get(deviceId);
+      if (!range) ranges.set(deviceId, { from: timestamp, to: timestamp });
+      else if (timestamp > range.to) range.to = timestamp;
+      else if (timestamp < range.from) range.from = timestamp;
+    });
+  });
+  if (replayed > 0) console.log(`💾 Replayed ${replayed} buffered reading(s) into ${TELEMETRY_COLLECTION}`);
+  return ranges;
+}
+
+// Fields selectable with ?fields= and usable in ?filter=
+const QUERY_FIELDS = ["powerW", "voltageV", "currentMa", "switchOn", "energyKwh"];
+const NUMERIC_FIELDS = ["powerW", "voltageV", "currentMa", "energyKwh"];
+const FILTER_OPERATORS = { ">": "$gt", ">=": "$gte", "<": "$lt", "<=": "$lte" };
+const AGGREGATIONS = ["min", "max", "avg"];
+const DEFAULT_LIMIT = 500;
+const MAX_LIMIT = 5000;
+const MAX_POINTS = 2000;
+
+// Opaque pagination cursor: the sort key of the last returned reading
+function encodeCursor(doc) {
+  return Buffer.from(`${doc.timestamp.getTime()}:${doc._id}`).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  const [time, id] = Buffer.from(cursor, "base64url").toString().split(":");
+  const timestamp = new Date(Number(time));
+  if (Number.isNaN(timestamp.getTime()) || !ObjectId.isValid(id)) return null;
+  return { timestamp, _id: new ObjectId(id) };
+}
+
+// Parses ?filter=powerW>2000,voltageV<=180 into a Mongo filter (errors are
+// pushed to `errors`)
+function parseValueFilters(filter, errors) {
+  const match = {};
+  String(filter)
+    .split(",")
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .forEach((part) => {
+      const parsed = part.match(/^(\w+)\s*(>=|<=|>|<)\s*(-?\d+(?:\.\d+)?)$/);
+      if (!parsed || !NUMERIC_FIELDS.includes(parsed[1])) {
+        errors.push(
+          `Invalid filter "${part}". Use <field><op><number> with a field of ${NUMERIC_FIELDS.join(", ")} and an operator of ${Object.keys(FILTER_OPERATORS).join(" ")}`,
+        );
+        return;
+      }
+      const [, field, operator, value] = parsed;
+      match[field] = { ...match[field], [FILTER_OPERATORS[operator]]: Number(value) };
+    });
+  return match;
+}
+
+function parseTelemetryQuery(query) {
+  const errors = [];
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from
+    ? new Date(query.from)
+    : new Date(to.getTime() - 24 * 60 * 60 * 1000);
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+    errors.push("from/to must be ISO dates");
+  } else if (from >= to) {
+    errors.push("from must be before to");
+  }
+
+  const fields = query.fields
+    ? String(query.fields).split(",").map((f) => f.trim()).filter(Boolean)
+    : QUERY_FIELDS;
+  const unknownFields = fields.filter((f) => !QUERY_FIELDS.includes(f));
+  if (unknownFields.length > 0) {
+    errors.push(`Unknown fields: ${unknownFields.join(", ")}. Must be of ${QUERY_FIELDS.join(", ")}`);
+  }
+
+  const limit = query.limit ? parseInt(query.limit, 10) : DEFAULT_LIMIT;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    errors.push(`limit must be between 1 and ${MAX_LIMIT}`);
+  }
+
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeCursor(String(query.cursor));
+    if (!cursor) errors.push("Invalid cursor");
+  }
+
+  let points = null;
+  if (query.points) {
+    points = parseInt(query.points, 10);
+    if (!Number.isInteger(points) || points < 1 || points > MAX_POINTS) {
+      errors.push(`points must be between 1 and ${MAX_POINTS}`);
+    }
+    if (query.cursor) errors.push("cursor cannot be combined with points");
+  }
+  const aggregation = query.agg || "avg";
+  if (!AGGREGATIONS.includes(aggregation)) {
+    errors.push(`agg must be one of ${AGGREGATIONS.join(", ")}`);
+  }
+
+  if (query.switch && !["on", "off"].includes(query.switch)) {
+    errors.push("switch must be on or off");
+  }
+  const valueFilters = query.filter ? parseValueFilters(query.filter, errors) : {};
+
+  return { errors, from, to, fields, limit, cursor, points, aggregation, valueFilters };
+}
+
+// Raw readings in timestamp order, `limit` per page
+async function queryReadings(match, { fields, limit, cursor }) {
+  const pageMatch = cursor
+    ? {
+        $and: [
+          match,
+          {
+            $or: [
+              { timestamp: { $gt: cursor.timestamp } },
+              { timestamp: cursor.timestamp, _id: { $gt: cursor._id } },
+            ],
+          },
+        ],
+      }
+    : match;
+
+  const docs = await telemetryCollection
+    .find(pageMatch, {
+      projection: { timestamp: 1, ...Object.fromEntries(fields.map((f) => [f, 1])) },
+    })
+    .sort({ timestamp: 1, _id: 1 })
+    .limit(limit + 1)
+    .toArray();
+
+  const hasMore = docs.length > limit;
+  const page = docs.slice(0, limit);
+  return {
+    readings: page.map(({ _id, ...reading }) => reading),
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null,
+  };
+}
+
+// Readings downsampled to `points` equal-width buckets over [from, to).
+// switchOn becomes the share of readings with the switch on for avg.
+async function downsampleReadings(match, { from, to, fields, points, aggregation }) {
+  const bucketMs = Math.ceil((to - from) / points);
+  const accumulators = Object.fromEntries(
+    fields.map((field) => {
+      const value =
+        field === "switchOn" && aggregation === "avg"
+          ? { $cond: ["$switchOn", 1, 0] }
+          : `$${field}`;
+      return [field, { [`$${aggregation}`]: value }];
+    }),
+  );
+
+  const buckets = await telemetryCollection
+    .aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: {
+            $floor: { $divide: [{ $subtract: ["$timestamp", from] }, bucketMs] },
+          },
+          count: { $sum: 1 },
+          ...accumulators,
+        },
+      },
+      { $sort: { _id: 1 } },
+    ])
+    .toArray();
+
+  return {
+    bucketSeconds: bucketMs / 1000,
+    readings: buckets.map(({ _id, ...bucket }) => ({
+      timestamp: new Date(from.getTime() + _id * bucketMs),
+      ...bucket,
+    })),
+  };
+}
+
+export const telemetryRouter = express.Router();
+
+// GET /telemetry?from=&to=&fields=&limit=&cursor=&switch=on|off
+//   &filter=powerW>2000,voltageV<180&points=&agg=min|max|avg&deviceId=
+telemetryRouter.get(["/telemetry", "/devices/:id/telemetry"], async (req, res) => {
+  try {
+    const deviceId = req.params.id || req.query.deviceId || getDefaultDeviceId();
+    if (!deviceId || !getDevice(deviceId)) {
+      return res.status(404).json({
+        success: false,
+        error: `Device ${deviceId || "(none)"} is not registered`,
+      });
+    }
+
+    const query = parseTelemetryQuery(req.query);
+    if (query.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid telemetry query",
+        details: query.errors,
+      });
+    }
+
+    const match = {
+      deviceId,
+      timestamp: { $gte: query.from, $lt: query.to },
+      ...query.valueFilters,
+    };
+    if (req.query.switch) match.switchOn = req.query.switch === "on";
+
+    const result = query.points
+      ? await downsampleReadings(match, query)
+      : await queryReadings(match, query);
+
+    res.json({
+      success: true,
+      data: {
+        deviceId,
+        timeRange: { start: query.from.toISOString(), end: query.to.toISOString() },
+        fields: query.fields,
+        units: TELEMETRY_UNITS,
+        ...(query.points ? { points: query.points, aggregation: query.aggregation } : {}),
+        ...result,
+      },
+    });
+  } catch (error) {
+    console.error("Error querying telemetry:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to query telemetry",
+      details: error.message,
+    });
+  }
+});
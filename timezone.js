@@ -0,0 +1,142 @@
+// Timezone helpers shared by the chart endpoints, energy buckets and the
+// scheduler. All range computations go through Intl, so any IANA zone works,
+// including zones with DST.
+
+export const DEFAULT_TIMEZONE = "Asia/Dhaka";
+
+export function getUserTimezone(req) {
+  const timezone =
+    req.query.tz || req.query.timezone || req.headers["x-timezone"] || DEFAULT_TIMEZONE;
+  return timezone;
+}
+
+// Express middleware rejecting requests that carry an unknown IANA zone name
+// in ?tz, ?timezone or the x-timezone header
+export function validateTimezoneParam(req, res, next) {
+  const timezone = getUserTimezone(req);
+  if (!isValidTimezone(timezone)) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid timezone: ${timezone}. Must be an IANA zone name such as Asia/Dhaka`,
+    });
+  }
+  next();
+}
+
+export function isValidTimezone(timezone) {
+  if (typeof timezone !== "string" || timezone === "") return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const formatterCache = new Map();
+
+function getFormatter(timezone) {
+  let formatter = formatterCache.get(timezone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat("en-US", {
+      timeZone: timezone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+      weekday: "short",
+    });
+    formatterCache.set(timezone, formatter);
+  }
+  return formatter;
+}
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+// Wall-clock parts of `date` in `timezone` (month is 1-12, weekday 0 = Sunday)
+export function getZonedParts(date, timezone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timezone).formatToParts(date)) {
+    parts[type] = value;
+  }
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+  };
+}
+
+// Offset of `timezone` from UTC at the given instant, in milliseconds
+export function getTimezoneOffset(date, timezone) {
+  const p = getZonedParts(date, timezone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// Converts a wall-clock time in `timezone` to a UTC Date. Out-of-range parts
+// roll over like Date.UTC (e.g. day 32 becomes the 1st of next month).
+// Wall times skipped by a DST jump resolve to the instant after the gap.
+export function zonedTimeToUtc(
+  { year, month, day, hour = 0, minute = 0, second = 0, millisecond = 0 },
+  timezone,
+) {
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second, millisecond);
+  const firstOffset = getTimezoneOffset(new Date(asUtc), timezone);
+  const firstGuess = asUtc - firstOffset;
+  const secondOffset = getTimezoneOffset(new Date(firstGuess), timezone);
+  if (secondOffset === firstOffset) return new Date(firstGuess);
+
+  const secondGuess = asUtc - secondOffset;
+  if (getTimezoneOffset(new Date(secondGuess), timezone) === secondOffset) {
+    return new Date(secondGuess);
+  }
+
+  // The wall time falls into a DST gap
+  return new Date(asUtc - Math.min(firstOffset, secondOffset));
+}
+
+// YYYY-MM-DD of `date` in `timezone`
+export function getLocalDateString(date, timezone = DEFAULT_TIMEZONE) {
+  const p = getZonedParts(date, timezone);
+  return `${p.year}-${String(p.month).padStart(2, "0")}-${String(p.day).padStart(2, "0")}`;
+}
+
+// YYYY-MM-DD HH:mm:ss of `date` in `timezone`
+export function getLocalDateTimeString(date, timezone = DEFAULT_TIMEZONE) {
+  const p = getZonedParts(date, timezone);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${p.year}-${pad(p.month)}-${pad(p.day)} ${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}`;
+}
+
+// YYYY-MM-DD of the local day `daysAgo` days before today in `timezone`
+export function getLocalDateStringDaysAgo(
+  daysAgo,
+  timezone = DEFAULT_TIMEZONE,
+  now = new Date(),
+) {
+  const p = getZonedParts(now, timezone);
+  return new Date(Date.UTC(p.year, p.month - 1, p.day - daysAgo)).toISOString().split("T")[0];
+}
+
+// Start (00:00 local) of the day `daysAgo` days before today in `timezone`
+export function getDayStartInTimezone(timezone, daysAgo = 0, now = new Date()) {
+  const p = getZonedParts(now, timezone);
+  return zonedTimeToUtc({ year: p.year, month: p.month, day: p.day - daysAgo }, timezone);
+}
+
+export function getTodayStartInTimezone(timezone, now = new Date()) {
+  return getDayStartInTimezone(timezone, 0, now);
+}
+
+// Last millisecond of today in `timezone` (days are 23 or 25 hours long on
+// DST transitions, so this is the next local midnight minus 1 ms)
+export function getTodayEndInTimezone(timezone, now = new Date()) {
+  return new Date(getDayStartInTimezone(timezone, -1, now).getTime() - 1);
+}
@@ -1,6 +1,7 @@
 import crypto from "crypto";
 import axios from "axios";
 import dotenv from "dotenv";
+import { tuyaRequestDuration, tokenRefreshesTotal, endpointLabel } from "./metrics.js";
 
 dotenv.config();
 
@@ -10,14 +11,46 @@ const BASE_URL = `https://openapi.${TUYA_API_REGION}.com`;
 
 let cachedToken = null;
 let cachedTokenExpire = 0;
+let cachedRefreshToken = null;
+// Token fetch in flight, shared by concurrent callers
+let tokenRequest = null;
 
-function genSignature({ method, url, body, t, accessToken = "" }) {
+// Canonical query string used in the string-to-sign: parameters sorted by key
+// in ASCII order and joined as raw `key=value` pairs.
+function canonicalQuery(query) {
+  if (!query) return "";
+  return Object.keys(query)
+    .filter((key) => query[key] !== undefined && query[key] !== null)
+    .sort()
+    .map((key) => `${key}=${query[key]}`)
+    .join("&");
+}
+
+// Tuya signature (HMAC-SHA256):
+//   stringToSign = METHOD \n sha256(body) \n headers \n path[?sortedQuery]
+//   str = client_id + [access_token] + t + nonce + stringToSign
+// where `headers` is "name:value\n" for each header listed in Signature-Headers.
+function genSignature({
+  method,
+  path,
+  query,
+  body,
+  t,
+  nonce = "",
+  accessToken = "",
+  signHeaders = {},
+}) {
   const contentHash = crypto
     .createHash("sha256")
     .update(body || "")
     .digest("hex");
-  const stringToSign = [method, contentHash, "", url].join("\n");
-  const signStr = TUYA_CLIENT_ID + accessToken + t + stringToSign;
+  const headersStr = Object.keys(signHeaders)
+    .map((name) => `${name}:${signHeaders[name]}\n`)
+    .join("");
+  const search = canonicalQuery(query);
+  const url = search ? `${path}?${search}` : path;
+  const stringToSign = [method, contentHash, headersStr, url].join("\n");
+  const signStr = TUYA_CLIENT_ID + accessToken + t + nonce + stringToSign;
   return crypto
     .createHmac("sha256", TUYA_CLIENT_SECRET)
     .update(signStr)
@@ -25,121 +58,503 @@ function genSignature({ method, url, body, t, accessToken = "" }) {
     .toUpperCase();
 }
 
-async function getAccessToken() {
+const REQUEST_TIMEOUT = 10000; // 10 second timeout
+const MAX_RETRIES = 3;
+const RETRY_BASE_DELAY = 500;
+const RETRY_MAX_DELAY = 8000;
+
+// Tuya business codes meaning the access token is invalid or expired
+const TOKEN_ERROR_CODES = new Set([1010, 1011]);
+const RETRYABLE_NETWORK_CODES = new Set([
+  "ECONNABORTED",
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ETIMEDOUT",
+  "EAI_AGAIN",
+  "ENOTFOUND",
+]);
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Exponential backoff with full jitter
+function retryDelay(attempt) {
+  const cap = Math.min(RETRY_MAX_DELAY, RETRY_BASE_DELAY * 2 ** attempt);
+  return Math.floor(Math.random() * cap);
+}
+
+function isRetryable(error) {
+  if (RETRYABLE_NETWORK_CODES.has(error.code)) return true;
+  const status = error.response?.status;
+  return status === 429 || (status >= 500 && status < 600);
+}
+
+// Request URL with the query encoded in the same sorted order that was signed
+function buildUrl(path, query) {
+  const keys = Object.keys(query || {})
+    .filter((key) => query[key] !== undefined && query[key] !== null)
+    .sort();
+  if (keys.length === 0) return path;
+  const search = keys
+    .map((key) => `${encodeURIComponent(key)}=${encodeURIComponent(query[key])}`)
+    .join("&");
+  return `${path}?${search}`;
+}
+
+function invalidateToken() {
+  cachedToken = null;
+  cachedTokenExpire = 0;
+}
+
+// Signs and sends a request to the Tuya OpenAPI. Returns the response envelope
+// ({ success, result, code, msg, t }). Idempotent requests (GET by default) are
+// retried on network errors, 429 and 5xx; any request is retried once with a
+// fresh token when Tuya reports the token as invalid or expired.
+// `signHeaders` are sent as extra headers and covered by the signature.
+async function tuyaRequest(options) {
+  const endTimer = tuyaRequestDuration.startTimer({
+    method: options.method || "GET",
+    endpoint: endpointLabel(options.path),
+  });
   try {
-    const now = Date.now();
-    if (cachedToken && now < cachedTokenExpire) return cachedToken;
+    const data = await sendTuyaRequest(options);
+    endTimer({ outcome: data?.success ? "success" : "error" });
+    return data;
+  } catch (error) {
+    endTimer({ outcome: "failed" });
+    throw error;
+  }
+}
+
+async function sendTuyaRequest({
+  method = "GET",
+  path,
+  query,
+  body,
+  signHeaders = {},
+  auth = true,
+  timeout = REQUEST_TIMEOUT,
+  idempotent = method === "GET",
+}) {
+  const url = buildUrl(path, query);
+  const payload = body === undefined ? "" : JSON.stringify(body);
+  const maxAttempts = idempotent ? MAX_RETRIES + 1 : 1;
+  let tokenRetried = false;
 
-    const t = now.toString();
-    const method = "GET";
-    const url = "/v1.0/token?grant_type=1";
-    const sign = genSignature({ method, url, t });
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const accessToken = auth ? await getAccessToken() : "";
+      const t = Date.now().toString();
+      const nonce = crypto.randomUUID();
+      const sign = genSignature({
+        method,
+        path,
+        query,
+        body: payload,
+        t,
+        nonce,
+        accessToken,
+        signHeaders,
+      });
 
-    const res = await axios.get(`${BASE_URL}${url}`, {
-      headers: {
+      const headers = {
+        ...signHeaders,
         client_id: TUYA_CLIENT_ID,
         sign,
         t,
+        nonce,
         sign_method: "HMAC-SHA256",
-      },
-      timeout: 10000, // 10 second timeout
-    });
+      };
+      const signedHeaderNames = Object.keys(signHeaders);
+      if (signedHeaderNames.length > 0) {
+        headers["Signature-Headers"] = signedHeaderNames.join(":");
+      }
+      if (auth) headers.access_token = accessToken;
+      if (payload) headers["Content-Type"] = "application/json";
+
+      const res = await axios.request({
+        method,
+        url: `${BASE_URL}${url}`,
+        data: payload || undefined,
+        headers,
+        timeout,
+      });
+
+      if (auth && res.data && TOKEN_ERROR_CODES.has(res.data.code) && !tokenRetried) {
+        console.warn(`🔑 Tuya token rejected (code ${res.data.code}), refreshing and retrying`);
+        tokenRetried = true;
+        invalidateToken();
+        attempt--; // token refresh does not count towards the retry budget
+        continue;
+      }
+
+      return res.data;
+    } catch (error) {
+      if (attempt + 1 < maxAttempts && isRetryable(error)) {
+        const delay = retryDelay(attempt);
+        console.warn(
+          `⏳ Tuya ${method} ${path} failed (${error.code || error.response?.status}), retry ${attempt + 1}/${maxAttempts - 1} in ${delay}ms`,
+        );
+        await sleep(delay);
+        continue;
+      }
+
+      if (error.response) {
+        console.error("Response status:", error.response.status);
+        console.error("Response data:", JSON.stringify(error.response.data, null, 2));
+      }
+      if (error.code === "ECONNABORTED") {
+        throw new Error("Request timeout - Tuya API is not responding");
+      }
+      if (error.code === "ECONNRESET" || error.code === "ECONNREFUSED") {
+        throw new Error("Connection failed - Network or Tuya API issue");
+      }
+      throw error;
+    }
+  }
+}
+
+// Unwraps a Tuya response envelope, throwing on business errors
+function unwrap(data) {
+  if (!data || !data.success) {
+    const error = new Error(`Tuya API error ${data?.code}: ${data?.msg}`);
+    error.tuyaCode = data?.code;
+    throw error;
+  }
+  return data.result;
+}
 
-    cachedToken = res.data.result.access_token;
-    cachedTokenExpire = now + (res.data.result.expire_time * 1000) - 60000;
-    // refresh 1 min before expiry
-    return cachedToken;
+function storeToken(result, requestedAt) {
+  cachedToken = result.access_token;
+  cachedRefreshToken = result.refresh_token || null;
+  cachedTokenExpire = requestedAt + (result.expire_time * 1000) - 60000;
+  // refresh 1 min before expiry
+}
+
+// Exchanges the refresh token for a new access token. Returns null when the
+// refresh token is missing or rejected so the caller can fall back to a new grant.
+async function refreshAccessToken() {
+  const refreshToken = cachedRefreshToken;
+  if (!refreshToken) return null;
+
+  const now = Date.now();
+  const data = await tuyaRequest({
+    path: `/v1.0/token/${refreshToken}`,
+    auth: false,
+  });
+
+  if (!data || !data.success) {
+    console.warn(`🔑 Refresh token rejected (code ${data?.code}), requesting a new token`);
+    if (cachedRefreshToken === refreshToken) cachedRefreshToken = null;
+    return null;
+  }
+
+  storeToken(data.result, now);
+  tokenRefreshesTotal.inc({ type: "refresh" });
+  return cachedToken;
+}
+
+async function fetchAccessToken() {
+  const now = Date.now();
+  const refreshed = await refreshAccessToken();
+  if (refreshed) return refreshed;
+
+  const data = await tuyaRequest({
+    path: "/v1.0/token",
+    query: { grant_type: 1 },
+    auth: false,
+  });
+  storeToken(unwrap(data), now);
+  tokenRefreshesTotal.inc({ type: "grant" });
+  return cachedToken;
+}
+
+// Concurrent callers share one refresh or grant instead of racing each other
+export async function getAccessToken() {
+  if (cachedToken && Date.now() < cachedTokenExpire) return cachedToken;
+
+  if (!tokenRequest) {
+    tokenRequest = fetchAccessToken().finally(() => {
+      tokenRequest = null;
+    });
+  }
+  try {
+    return await tokenRequest;
   } catch (error) {
     console.error("Error getting access token:", error.message);
-    if (error.code === 'ECONNABORTED') {
-      throw new Error('Token request timeout - Tuya API is not responding');
-    }
-    if (error.code === 'ECONNRESET' || error.code === 'ECONNREFUSED') {
-      throw new Error('Token connection failed - Network or Tuya API issue');
-    }
     throw error;
   }
 }
 
 export async function fetchDeviceStatus(deviceId) {
   try {
-    const token = await getAccessToken();
-    const t = Date.now().toString();
-    const method = "GET";
-    const urlPath = `/v1.0/devices/${deviceId}/status`;
-    const sign = genSignature({ method, url: urlPath, t, accessToken: token });
-
-    const res = await axios.get(`${BASE_URL}${urlPath}`, {
-      headers: {
-        client_id: TUYA_CLIENT_ID,
-        sign,
-        t,
-        sign_method: "HMAC-SHA256",
-        access_token: token,
-      },
-      timeout: 10000, // 10 second timeout
-    });
-
-    return res.data.result; // returns array of status
+    const data = await tuyaRequest({ path: `/v1.0/devices/${deviceId}/status` });
+    return unwrap(data); // returns array of status
   } catch (error) {
     console.error("Error in fetchDeviceStatus:", error.message);
-    if (error.code === 'ECONNABORTED') {
-      throw new Error('Request timeout - Tuya API is not responding');
-    }
-    if (error.code === 'ECONNRESET' || error.code === 'ECONNREFUSED') {
-      throw new Error('Connection failed - Network or Tuya API issue');
-    }
-    if (error.response) {
-      console.error("Response status:", error.response.status);
-      console.error("Response data:", JSON.stringify(error.response.data, null, 2));
-    }
     throw error;
   }
 }
 
-export async function controlDeviceSwitch(deviceId, switchState) {
+// Device details. `online` is Tuya's connectivity flag (false when the plug
+// lost Wi-Fi or power, unlike a switched-off load) and `updateTime` the last
+// time the device reported anything. Tuya returns times in Unix seconds.
+export async function fetchDeviceInfo(deviceId) {
+  try {
+    const data = await tuyaRequest({ path: `/v1.0/devices/${deviceId}` });
+    const result = unwrap(data);
+    const toDate = (seconds) => (seconds ? new Date(seconds * 1000) : null);
+    return {
+      deviceId: result.id,
+      name: result.name || null,
+      online: Boolean(result.online),
+      updateTime: toDate(result.update_time),
+      activeTime: toDate(result.active_time),
+      category: result.category || null,
+      productName: result.product_name || null,
+      ip: result.ip || null,
+      timeZone: result.time_zone || null,
+    };
+  } catch (error) {
+    console.error("Error in fetchDeviceInfo:", error.message);
+    throw error;
+  }
+}
+
+// Device event logs, paginated with `start_row_key`. Types are Tuya log types
+// (1 online, 2 offline, 5 command, 7 data point report, ...).
+export async function fetchDeviceLogs(
+  deviceId,
+  { startTime, endTime, types = [7], size = 100, startRowKey } = {},
+) {
   try {
-    const token = await getAccessToken();
-    const t = Date.now().toString();
-    const method = "POST";
-    const urlPath = `/v1.0/devices/${deviceId}/commands`;
-
-    // Prepare the request body for standard device control
-    const body = JSON.stringify({
-      commands: [
-        {
-          code: "switch_1",
-          value: switchState
-        }
-      ]
+    const data = await tuyaRequest({
+      path: `/v1.0/devices/${deviceId}/logs`,
+      query: {
+        type: types.join(","),
+        start_time: startTime,
+        end_time: endTime,
+        size,
+        start_row_key: startRowKey,
+      },
     });
+    const result = unwrap(data);
+    return {
+      logs: result.logs || [],
+      hasNext: Boolean(result.has_next),
+      nextRowKey: result.next_row_key || null,
+    };
+  } catch (error) {
+    console.error("Error in fetchDeviceLogs:", error.message);
+    throw error;
+  }
+}
 
-    console.log(`Making request to: ${BASE_URL}${urlPath}`);
-    console.log(`Request body: ${body}`);
+// Function specifications rarely change, cache them per device for 10 minutes
+const functionsCache = new Map();
+const FUNCTIONS_CACHE_TTL = 10 * 60 * 1000;
 
-    const sign = genSignature({ method, url: urlPath, body, t, accessToken: token });
+// Tuya returns each data point's `values` as a JSON string
+function parseDpValues(values) {
+  try {
+    return typeof values === "string" ? JSON.parse(values) : values || {};
+  } catch {
+    return {};
+  }
+}
 
-    const res = await axios.post(`${BASE_URL}${urlPath}`, body, {
-      headers: {
-        client_id: TUYA_CLIENT_ID,
-        sign,
-        t,
-        sign_method: "HMAC-SHA256",
-        access_token: token,
-        "Content-Type": "application/json",
-      },
+export async function fetchDeviceFunctions(deviceId) {
+  const cached = functionsCache.get(deviceId);
+  if (cached && Date.now() < cached.expires) return cached.functions;
+
+  try {
+    const data = await tuyaRequest({ path: `/v1.0/devices/${deviceId}/functions` });
+    const result = unwrap(data);
+
+    const functions = (result.functions || []).map((fn) => ({
+      code: fn.code,
+      type: fn.type,
+      name: fn.name,
+      values: parseDpValues(fn.values),
+    }));
+
+    functionsCache.set(deviceId, {
+      functions,
+      expires: Date.now() + FUNCTIONS_CACHE_TTL,
     });
+    return functions;
+  } catch (error) {
+    console.error("Error in fetchDeviceFunctions:", error.message);
+    throw error;
+  }
+}
+
+// Status specifications describe how reported values are encoded:
+// { code, type, values: { unit, min, max, scale, step } } where the real value
+// is value / 10^scale. They only change with the firmware, so they are cached
+// for an hour; failed lookups are retried after a minute.
+const specificationsCache = new Map();
+const SPECIFICATIONS_CACHE_TTL = 60 * 60 * 1000;
+const SPECIFICATIONS_RETRY_TTL = 60 * 1000;
+
+export async function fetchDeviceSpecifications(deviceId) {
+  const cached = specificationsCache.get(deviceId);
+  if (cached && Date.now() < cached.expires) return cached.specifications;
 
-    console.log(`Tuya API response status: ${res.status}`);
-    console.log(`Tuya API response data:`, JSON.stringify(res.data, null, 2));
+  try {
+    const data = await tuyaRequest({ path: `/v1.0/devices/${deviceId}/specifications` });
+    const result = unwrap(data);
+
+    const toSpec = (dp) => ({ code: dp.code, type: dp.type, values: parseDpValues(dp.values) });
+    const specifications = {
+      category: result.category || null,
+      functions: (result.functions || []).map(toSpec),
+      status: (result.status || []).map(toSpec),
+    };
 
-    return res.data;
+    specificationsCache.set(deviceId, {
+      specifications,
+      expires: Date.now() + SPECIFICATIONS_CACHE_TTL,
+    });
+    return specifications;
   } catch (error) {
-    console.error("Error in controlDeviceSwitch:", error.message);
-    if (error.response) {
-      console.error("Response status:", error.response.status);
-      console.error("Response data:", JSON.stringify(error.response.data, null, 2));
+    console.error("Error in fetchDeviceSpecifications:", error.message);
+    throw error;
+  }
+}
+
+// Status specs by code. Empty when the specifications cannot be fetched;
+// callers fall back to their defaults for codes without a spec.
+export async function getStatusSpecs(deviceId) {
+  try {
+    const { status } = await fetchDeviceSpecifications(deviceId);
+    return Object.fromEntries(status.map((spec) => [spec.code, spec]));
+  } catch {
+    specificationsCache.set(deviceId, {
+      specifications: { category: null, functions: [], status: [] },
+      expires: Date.now() + SPECIFICATIONS_RETRY_TTL,
+    });
+    return {};
+  }
+}
+
+// Applies an Integer data point's scale: { value, unit }, or null when the
+// raw value is not a number or outside the spec's min/max.
+export function scaleDpValue(spec, raw) {
+  if (typeof raw !== "number") return null;
+  const { scale = 0, unit = null, min, max } = spec?.values || {};
+  if ((min !== undefined && raw < min) || (max !== undefined && raw > max)) {
+    return null;
+  }
+  return { value: raw / 10 ** scale, unit };
+}
+
+function validateCommandValue(fn, value) {
+  const { type, values } = fn;
+
+  switch (type) {
+    case "Boolean":
+      if (typeof value !== "boolean") return "must be a boolean";
+      return null;
+    case "Integer": {
+      if (typeof value !== "number" || !Number.isInteger(value)) {
+        return "must be an integer";
+      }
+      if (values.min !== undefined && value < values.min) {
+        return `must be >= ${values.min}`;
+      }
+      if (values.max !== undefined && value > values.max) {
+        return `must be <= ${values.max}`;
+      }
+      if (values.step && ((value - (values.min || 0)) % values.step) !== 0) {
+        return `must be a multiple of ${values.step}`;
+      }
+      return null;
+    }
+    case "Enum":
+      if (!Array.isArray(values.range) || !values.range.includes(value)) {
+        return `must be one of ${JSON.stringify(values.range || [])}`;
+      }
+      return null;
+    case "String":
+    case "Json":
+      if (typeof value !== "string") return "must be a string";
+      if (values.maxlen !== undefined && value.length > values.maxlen) {
+        return `must be at most ${values.maxlen} characters`;
+      }
+      return null;
+    case "Bitmap":
+      if (typeof value !== "number" || !Number.isInteger(value) || value < 0) {
+        return "must be a non-negative integer bitmap";
+      }
+      if (values.maxlen !== undefined && value >= 2 ** values.maxlen) {
+        return `must fit in ${values.maxlen} bits`;
+      }
+      return null;
+    default:
+      return null;
+  }
+}
+
+// Validates a list of { code, value } commands against the device's function
+// specification. Returns an array of human readable errors (empty when valid).
+export async function validateDeviceCommands(deviceId, commands) {
+  if (!Array.isArray(commands) || commands.length === 0) {
+    return ["commands must be a non-empty array of { code, value }"];
+  }
+
+  const functions = await fetchDeviceFunctions(deviceId);
+  const errors = [];
+
+  commands.forEach((command, index) => {
+    if (!command || typeof command.code !== "string") {
+      errors.push(`commands[${index}].code must be a string`);
+      return;
+    }
+    if (command.value === undefined) {
+      errors.push(`commands[${index}].value is required`);
+      return;
     }
+
+    const fn = functions.find((f) => f.code === command.code);
+    if (!fn) {
+      errors.push(`commands[${index}]: ${command.code} is not supported by device ${deviceId}`);
+      return;
+    }
+
+    const problem = validateCommandValue(fn, command.value);
+    if (problem) {
+      errors.push(`commands[${index}]: ${command.code} ${problem}`);
+    }
+  });
+
+  return errors;
+}
+
+export async function sendDeviceCommands(deviceId, commands) {
+  try {
+    const path = `/v1.0/devices/${deviceId}/commands`;
+    const body = {
+      commands: commands.map(({ code, value }) => ({ code, value })),
+    };
+
+    console.log(`Making request to: ${BASE_URL}${path}`);
+    console.log(`Request body: ${JSON.stringify(body)}`);
+
+    // Commands are not idempotent (e.g. countdowns), so they are never retried
+    // except for the one-off token refresh
+    const data = await tuyaRequest({ method: "POST", path, body });
+
+    console.log(`Tuya API response data:`, JSON.stringify(data, null, 2));
+
+    return data;
+  } catch (error) {
+    console.error("Error in sendDeviceCommands:", error.message);
     throw error;
   }
 }
+
+export async function controlDeviceSwitch(deviceId, switchState) {
+  return sendDeviceCommands(deviceId, [{ code: "switch_1", value: switchState }]);
+}